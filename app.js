@@ -6,19 +6,57 @@ class DrivingMonitorApp {
         // Estado de la aplicación
         this.isRecording = false;
         this.isPaused = false;
+        this.isReplaying = false;
         this.data = [];
         this.startTime = null;
         this.pauseTime = null;
+        this.endTime = null;
         this.totalPausedTime = 0;
         
+        // Fuente de sensores (navegador por defecto, ?sensores=simulado para pruebas)
+        this.sensorProvider = SensorProvider.fromLocation();
+        
         // Instancias de los gestores
         this.alertManager = new AlertManager();
-        this.calibrationManager = new CalibrationManager();
+        this.calibrationManager = new CalibrationManager(this.sensorProvider);
         this.dataProcessor = new DataProcessor();
+        this.speedZones = null; // SpeedZoneMap cargado (importado o incluido)
+        this.speedZonesImported = false;
         this.exportManager = new ExportManager();
+        this.sessionStore = new SessionStore();
+        this.rawMotionRecorder = new RawMotionRecorder(this.sessionStore);
+        this.sensorHealthMonitor = new SensorHealthMonitor({
+            onGap: (gap) => this.handleSensorGap(gap),
+            onStatusChange: (change) => this.handleSensorStatus(change)
+        });
+        
+        // Inicio y fin automáticos del viaje (opcional, se activa en la UI)
+        this.autoTrip = new AutoTripDetector({
+            onStart: (trigger) => this.handleAutoTripStart(trigger),
+            onStop: (trigger) => this.handleAutoTripStop(trigger)
+        });
+        this.autoTripKey = 'auto_trip';
+        
+        // Persistencia por bloques (IndexedDB)
+        this.session = null; // Metadatos de la sesión activa o seleccionada
+        this.sessionId = null;
+        this.persistedCount = 0;
+        this.pendingEvents = []; // Eventos detectados aún sin guardar
+        this.savePromise = Promise.resolve();
+        this.dataSizeBytes = 0;
+        
+        // Diario de grabación (detecta cierres inesperados)
+        this.journalKey = 'recording_journal';
+        
+        // Pesos de la puntuación de riesgo importados por el investigador
+        this.analysisKey = 'analysis_config';
+        
+        // Reproducción de viajes exportados
+        this.tripReplay = null;
         
         // Conectar gestores
         this.exportManager.setDataProcessor(this.dataProcessor);
+        this.exportManager.setRawMotionRecorder(this.rawMotionRecorder);
         
         // Referencias DOM
         this.initDOMReferences();
@@ -26,6 +64,7 @@ class DrivingMonitorApp {
         // Configuración de sensores
         this.gpsWatchId = null;
         this.lastPosition = null;
+        this.lastOrientation = null;
         this.sensorConfig = {
             gps: {
                 enableHighAccuracy: true,
@@ -52,12 +91,34 @@ class DrivingMonitorApp {
         this.pauseBtn = document.getElementById('pauseBtn');
         this.stopBtn = document.getElementById('stopBtn');
         
+        // Viaje automático
+        this.autoTripToggle = document.getElementById('autoTripToggle');
+        this.autoTripMinutes = document.getElementById('autoTripMinutes');
+        this.autoTripAction = document.getElementById('autoTripAction');
+        this.autoTripStatus = document.getElementById('autoTripStatus');
+        
         // Exportación
         this.exportJsonBtn = document.getElementById('exportJsonBtn');
         this.exportCsvBtn = document.getElementById('exportCsvBtn');
         this.exportStatsBtn = document.getElementById('exportStatsBtn');
         this.viewStatsBtn = document.getElementById('viewStatsBtn');
         this.clearDataBtn = document.getElementById('clearDataBtn');
+        this.sessionSelect = document.getElementById('sessionSelect');
+        
+        // Reproducción
+        this.replayFileInput = document.getElementById('replayFile');
+        this.replaySpeedSelect = document.getElementById('replaySpeed');
+        this.replayBtn = document.getElementById('replayBtn');
+        this.scenarioSelect = document.getElementById('scenarioSelect');
+        this.scenarioBtn = document.getElementById('scenarioBtn');
+        this.labelFileInput = document.getElementById('labelFile');
+        this.evaluateBtn = document.getElementById('evaluateBtn');
+        this.zoneFileInput = document.getElementById('zoneFile');
+        this.zoneStatus = document.getElementById('zoneStatus');
+        this.clearZonesBtn = document.getElementById('clearZonesBtn');
+        this.analysisFileInput = document.getElementById('analysisFile');
+        this.analysisStatus = document.getElementById('analysisStatus');
+        this.clearAnalysisBtn = document.getElementById('clearAnalysisBtn');
         
         // Display de estado
         this.statusDisplay = document.getElementById('statusDisplay');
@@ -65,12 +126,22 @@ class DrivingMonitorApp {
         this.duration = document.getElementById('duration');
         this.currentSpeed = document.getElementById('currentSpeed');
         this.dataSize = document.getElementById('dataSize');
+        this.sensorHealth = document.getElementById('sensorHealth');
         
         // Contadores de eventos
         this.harshAccelCount = document.getElementById('harshAccelCount');
         this.harshBrakeCount = document.getElementById('harshBrakeCount');
         this.aggressiveTurnCount = document.getElementById('aggressiveTurnCount');
         this.speedingCount = document.getElementById('speedingCount');
+        this.speedingExposure = document.getElementById('speedingExposure');
+        
+        // Desglose por severidad bajo cada contador
+        this.severityDisplays = {
+            harsh_acceleration: document.getElementById('harshAccelSeverity'),
+            harsh_braking: document.getElementById('harshBrakeSeverity'),
+            aggressive_turn: document.getElementById('aggressiveTurnSeverity'),
+            speeding: document.getElementById('speedingSeverity')
+        };
         
         // Paneles
         this.statsPanel = document.getElementById('statsPanel');
@@ -87,12 +158,22 @@ class DrivingMonitorApp {
             
             // Configurar event listeners
             this.setupEventListeners();
+            this.populateScenarioSelect();
+            this.setupAutoTrip();
             
             // Configurar DataProcessor
             this.setupDataProcessor();
+            this.updateAnalysisStatus();
+            await this.loadSpeedZones();
             
-            // Cargar datos existentes
-            this.loadExistingData();
+            // Migrar sesiones guardadas en localStorage (versiones anteriores)
+            await this.migrateLegacyData();
+            
+            // Recuperar grabación interrumpida o cargar datos existentes
+            const resumed = await this.recoverInterruptedSession();
+            if (!resumed) {
+                await this.loadExistingData();
+            }
             
             // Actualizar UI inicial
             this.updateUI();
@@ -133,6 +214,9 @@ class DrivingMonitorApp {
         this.startBtn?.addEventListener('click', () => this.startRecording());
         this.pauseBtn?.addEventListener('click', () => this.togglePause());
         this.stopBtn?.addEventListener('click', () => this.stopRecording());
+        this.autoTripToggle?.addEventListener('change', () => this.toggleAutoTrip(this.autoTripToggle.checked));
+        this.autoTripMinutes?.addEventListener('change', () => this.configureAutoTrip());
+        this.autoTripAction?.addEventListener('change', () => this.configureAutoTrip());
         
         // Exportación
         this.exportJsonBtn?.addEventListener('click', () => this.exportData('json'));
@@ -140,6 +224,20 @@ class DrivingMonitorApp {
         this.exportStatsBtn?.addEventListener('click', () => this.exportData('stats'));
         this.viewStatsBtn?.addEventListener('click', () => this.toggleStatsPanel());
         this.clearDataBtn?.addEventListener('click', () => this.clearAllData());
+        this.sessionSelect?.addEventListener('change', () => this.handleSessionSelection());
+        this.replayBtn?.addEventListener('click', () => this.toggleReplay());
+        this.scenarioBtn?.addEventListener('click', () => this.generateScenario());
+        this.evaluateBtn?.addEventListener('click', () => this.evaluateDetection());
+        this.clearZonesBtn?.addEventListener('click', () => this.clearSpeedZones());
+        this.clearAnalysisBtn?.addEventListener('click', () => this.clearAnalysisConfig());
+        this.analysisFileInput?.addEventListener('change', () => {
+            const file = this.analysisFileInput.files?.[0];
+            if (file) this.importAnalysisConfig(file);
+        });
+        this.zoneFileInput?.addEventListener('change', () => {
+            const file = this.zoneFileInput.files?.[0];
+            if (file) this.importSpeedZones(file);
+        });
         
         // Cambios en configuración
         this.participantInput?.addEventListener('blur', () => this.validateParticipantInput());
@@ -150,6 +248,22 @@ class DrivingMonitorApp {
             this.handleSensorsReady(event.detail);
         });
         
+        // Nueva calibración del montaje (CalibrationManager)
+        window.addEventListener('frameAlignment', (event) => {
+            this.dataProcessor.setFrameAlignment(event.detail ? event.detail.matrix : null);
+            if (this.isRecording && this.session) {
+                this.session.alineacion_marco = event.detail;
+            }
+        });
+        
+        // Umbrales medidos en reposo para este dispositivo (CalibrationManager)
+        window.addEventListener('noiseProfile', (event) => {
+            this.applyNoiseProfile(event.detail);
+            if (this.isRecording && this.session) {
+                this.session.perfil_ruido = event.detail;
+            }
+        });
+        
         // Prevenir cierre accidental durante grabación
         window.addEventListener('beforeunload', (event) => {
             if (this.isRecording) {
@@ -170,6 +284,32 @@ class DrivingMonitorApp {
             this.handleDrivingEvent(eventData);
         });
         
+        // Ventana "después" completa: volver a guardar el evento con su contexto
+        this.dataProcessor.addEventListener('eventContext', ({ event }) => {
+            if (!this.isReplaying) {
+                this.pendingEvents.push(event);
+            }
+        });
+        
+        // Episodio de exceso de velocidad terminado: volver a guardar el evento con su duración
+        this.dataProcessor.addEventListener('speedingEpisode', ({ event }) => {
+            if (!this.isReplaying) {
+                this.pendingEvents.push(event);
+            }
+            this.updateEventCounters(this.dataProcessor.getCurrentCounters());
+        });
+        
+        // El teléfono se movió en el soporte: el procesador ya rehízo el baseline de gravedad
+        this.dataProcessor.addEventListener('mountShift', (shift) => {
+            this.handleMountShift(shift);
+        });
+        
+        // Alineación teléfono → vehículo guardada para este dispositivo
+        const alignment = this.calibrationManager.getFrameAlignment();
+        if (alignment) {
+            this.dataProcessor.setFrameAlignment(alignment.matrix);
+        }
+        
         // Configurar umbrales específicos del experimento si es necesario
         this.dataProcessor.setThresholds({
             harsh_acceleration: 2.5,
@@ -177,13 +317,178 @@ class DrivingMonitorApp {
             aggressive_turn: 4.0,
             speeding: 15
         });
+        
+        // Perfil de ruido guardado para este dispositivo
+        this.applyNoiseProfile(this.calibrationManager.getNoiseProfile());
+        
+        // Límites de velocidad por zona (también en reproducción)
+        this.dataProcessor.setSpeedZones(this.speedZones || null);
+        
+        // Pesos de la puntuación de riesgo y cortes de tramos importados (también en reproducción)
+        this.dataProcessor.configureAnalysis(Storage.get(this.analysisKey) || {});
+    }
+
+    // === CONFIGURACIÓN DE ANÁLISIS ===
+
+    // JSON con { puntuacion_riesgo: { weights, severityWeights, speedingWeight, caps, levels, ... } } (ver RiskScorer)
+    // y/o { segmentacion: { longStop, gpsGap, minimumSpeed } } (ver TripSegmenter)
+    async importAnalysisConfig(file) {
+        try {
+            const parsed = JSON.parse(await file.text());
+            const isSection = (value) => value && typeof value === 'object' && !Array.isArray(value);
+            if (!parsed || (!isSection(parsed.puntuacion_riesgo) && !isSection(parsed.segmentacion))) {
+                throw new Error('El archivo no tiene "puntuacion_riesgo" ni "segmentacion"');
+            }
+            
+            const settings = {
+                puntuacion_riesgo: isSection(parsed.puntuacion_riesgo) ? parsed.puntuacion_riesgo : {},
+                segmentacion: isSection(parsed.segmentacion) ? parsed.segmentacion : {},
+                archivo: file.name
+            };
+            Storage.set(this.analysisKey, settings);
+            this.dataProcessor.configureAnalysis(settings);
+            this.updateAnalysisStatus();
+            this.alertManager.success(`⚖️ Configuración de análisis cargada: ${file.name}`);
+            
+        } catch (error) {
+            Utils.log('error', 'Error importando configuración de análisis', error);
+            this.alertManager.error('❌ Error importando configuración: ' + error.message);
+        } finally {
+            this.analysisFileInput.value = '';
+        }
+    }
+
+    clearAnalysisConfig() {
+        Storage.remove(this.analysisKey);
+        this.dataProcessor.configureAnalysis({});
+        this.updateAnalysisStatus();
+        this.alertManager.info('⚖️ Puntuación de riesgo y tramos con los valores por defecto');
+    }
+
+    updateAnalysisStatus() {
+        const settings = Storage.get(this.analysisKey);
+        this.clearAnalysisBtn?.classList.toggle('hidden', !settings);
+        if (!this.analysisStatus) return;
+        
+        this.analysisStatus.textContent = settings
+            ? `⚖️ Puntuación de riesgo y tramos: ${settings.archivo}`
+            : '⚖️ Puntuación de riesgo y tramos: valores por defecto';
+    }
+
+    // === ZONAS DE VELOCIDAD ===
+
+    // Mapa importado por el investigador (IndexedDB) o, si no hay, el incluido con la app
+    async loadSpeedZones() {
+        try {
+            const stored = await this.sessionStore.loadSpeedZones().catch(error => {
+                Utils.log('warn', 'No se pudieron leer las zonas importadas', error);
+                return null;
+            });
+            if (stored) {
+                this.applySpeedZones(new SpeedZoneMap().load(stored.geojson, stored.source), true);
+                return;
+            }
+            
+            // El archivo incluido no trae zonas: sirve de plantilla (ver updateZoneStatus)
+            const response = await fetch('zonas-velocidad.geojson');
+            if (response.ok) {
+                this.applySpeedZones(new SpeedZoneMap().load(await response.json(), 'zonas-velocidad.geojson'));
+                return;
+            }
+        } catch (error) {
+            Utils.log('warn', 'No se pudieron cargar las zonas de velocidad', error);
+        }
+        
+        this.applySpeedZones(null);
+    }
+
+    async importSpeedZones(file) {
+        try {
+            const map = await SpeedZoneMap.readFile(file);
+            if (map.zones.length === 0) {
+                throw new Error('El archivo no tiene zonas con límite de velocidad');
+            }
+            
+            try {
+                await this.sessionStore.saveSpeedZones(map.geojson, map.source);
+            } catch (error) {
+                Utils.log('warn', 'No se pudieron guardar las zonas importadas', error);
+                this.alertManager.warning('⚠️ Zonas aplicadas solo hasta cerrar la app (no se pudieron guardar)');
+            }
+            
+            this.applySpeedZones(map, true);
+            this.alertManager.success(`🗺️ ${map.zones.length} zonas de velocidad cargadas`);
+            
+        } catch (error) {
+            Utils.log('error', 'Error importando zonas de velocidad', error);
+            this.alertManager.error('❌ Error importando zonas: ' + error.message);
+        } finally {
+            this.zoneFileInput.value = '';
+        }
+    }
+
+    // Quitar el mapa importado y volver al incluido con la app
+    async clearSpeedZones() {
+        try {
+            await this.sessionStore.deleteSpeedZones();
+            await this.loadSpeedZones();
+            this.alertManager.info('🗺️ Zonas importadas eliminadas');
+            
+        } catch (error) {
+            Utils.log('error', 'Error eliminando zonas de velocidad', error);
+            this.alertManager.error('❌ Error eliminando zonas: ' + error.message);
+        }
+    }
+
+    applySpeedZones(map, imported = false) {
+        // Un mapa vacío equivale a no tener mapa: límite por defecto
+        this.speedZones = map && map.zones.length > 0 ? map : null;
+        this.speedZonesImported = imported && this.speedZones !== null;
+        this.dataProcessor.setSpeedZones(this.speedZones);
+        this.updateZoneStatus();
+    }
+
+    updateZoneStatus() {
+        this.clearZonesBtn?.classList.toggle('hidden', !this.speedZonesImported);
+        if (!this.zoneStatus) return;
+        
+        const info = this.speedZones?.describe();
+        this.zoneStatus.textContent = info
+            ? `🗺️ ${info.nombre} (${this.speedZonesImported ? 'importado' : 'incluido'}): ${info.tramos} tramos, ${info.areas} áreas`
+            : `🗺️ La app no incluye zonas de velocidad: se usa ${this.dataProcessor.speedLimits.default} km/h en todo el recorrido. Importa un GeoJSON para usar límites por zona.`;
+    }
+
+    handleMountShift(shift) {
+        if (this.session && !this.isReplaying) {
+            this.session.cambios_montaje = [...(this.session.cambios_montaje || []), shift];
+        }
+        
+        this.alertManager.warning(shift.alineacion_invalida
+            ? `⚠️ El teléfono se movió en el soporte (${shift.angulo_grados}°): recalibra la alineación al detenerte`
+            : `⚠️ El teléfono se movió en el soporte (${shift.angulo_grados}°): referencia de gravedad actualizada`);
+    }
+
+    applyNoiseProfile(profile) {
+        const defaults = DataProcessor.DEFAULT_THRESHOLDS;
+        const suggested = profile ? profile.umbrales_sugeridos : {};
+        
+        const thresholds = {
+            acceleration_noise: suggested.acceleration_noise ?? defaults.acceleration_noise,
+            motion_threshold: suggested.motion_threshold ?? defaults.motion_threshold
+        };
+        this.dataProcessor.setThresholds(thresholds);
+        
+        // El detector de viaje automático usa la misma detección de movimiento
+        this.autoTrip.watcher.setThresholds(thresholds);
     }
 
     setupTimers() {
         // Timer para actualizar UI cada segundo
         this.updateTimer = setInterval(() => {
             if (this.isRecording && !this.isPaused) {
+                this.sensorHealthMonitor.check();
                 this.updateUI();
+                this.writeJournal();
             }
         }, 1000);
         
@@ -197,22 +502,56 @@ class DrivingMonitorApp {
 
     // === CONTROL DE GRABACIÓN ===
 
-    async startRecording() {
+    // trigger: inicio automático (AutoTripDetector); sin él, inicio manual
+    async startRecording(trigger = null) {
         try {
+            if (this.isReplaying) {
+                this.alertManager.warning('⚠️ Detén la reproducción antes de grabar');
+                return;
+            }
+            
             const validation = this.validateStartConditions();
             if (!validation.valid) {
                 this.alertManager.error(validation.message);
                 return;
             }
 
+            // Cada grabación es una sesión nueva con su propio ID (el viaje automático empieza con el movimiento)
+            const startTime = trigger ? new Date(trigger.movimiento_desde) : new Date();
+            this.session = await this.sessionStore.createSession({
+                participante: this.participantInput.value.trim(),
+                grupo: this.groupSelect.value,
+                inicio: startTime
+            });
+            this.session.alineacion_marco = this.calibrationManager.getFrameAlignment();
+            this.session.perfil_ruido = this.calibrationManager.getNoiseProfile();
+            this.session.zonas_velocidad = this.speedZones?.describe() || null;
+            this.session.calidad_gps_inicio = this.calibrationManager.getGPSQuality();
+            this.session.gps_deficiente = this.calibrationManager.isGPSOverridden();
+            this.session.motivo_inicio = trigger ? trigger.motivo : 'manual';
+            if (trigger) {
+                this.session.movimiento_desde = trigger.movimiento_desde;
+            }
+            this.sessionId = this.session.id;
+            this.rawMotionRecorder.start(this.sessionId);
+
             this.isRecording = true;
             this.isPaused = false;
-            this.startTime = new Date();
+            this.startTime = startTime;
+            this.endTime = null;
             this.totalPausedTime = 0;
+            this.autoTrip.track();
             
             // Resetear datos y contadores
             this.data = [];
+            this.dataSizeBytes = 0;
+            this.persistedCount = 0;
+            this.pendingEvents = [];
             this.dataProcessor.resetCounters();
+            if (trigger) {
+                this.recordPullAway(trigger.registros);
+            }
+            this.updateEventCounters(this.dataProcessor.getCurrentCounters());
             
             // Actualizar UI
             this.updateRecordingStatus('recording');
@@ -220,13 +559,23 @@ class DrivingMonitorApp {
             // Iniciar sensores
             await this.startSensors();
             
+            // Registrar en el diario que hay una grabación en curso
+            this.writeJournal();
+            
             // Notificar al service worker
             this.notifyServiceWorker('START_RECORDING');
             
-            this.alertManager.success('🎯 Grabación iniciada - Conduce normalmente');
+            this.alertManager.success(trigger
+                ? '🤖 Viaje detectado - Grabación iniciada'
+                : '🎯 Grabación iniciada - Conduce normalmente');
+            if (this.session.gps_deficiente) {
+                this.alertManager.warning('⚠️ GPS con baja precisión: la sesión queda marcada');
+            }
             Utils.log('info', 'Grabación iniciada', {
+                sesion: this.sessionId,
                 participante: this.participantInput.value,
-                grupo: this.groupSelect.value
+                grupo: this.groupSelect.value,
+                motivo: this.session.motivo_inicio
             });
             
         } catch (error) {
@@ -236,17 +585,20 @@ class DrivingMonitorApp {
         }
     }
 
-    togglePause() {
+    // resumeTime: hora de reanudación (la automática reanuda donde empezó el movimiento)
+    togglePause(resumeTime = new Date()) {
         if (!this.isRecording) return;
         
         if (this.isPaused) {
             // Reanudar
             this.isPaused = false;
-            const pauseDuration = new Date() - this.pauseTime;
+            const pauseDuration = resumeTime - this.pauseTime;
             this.totalPausedTime += pauseDuration;
             
             this.updateRecordingStatus('recording');
             this.startSensors();
+            this.autoTrip.track();
+            this.writeJournal();
             this.alertManager.info('▶️ Grabación reanudada');
             
         } else {
@@ -256,21 +608,39 @@ class DrivingMonitorApp {
             
             this.updateRecordingStatus('paused');
             this.stopSensors();
+            this.writeJournal();
             this.alertManager.warning('⏸️ Grabación pausada');
         }
     }
 
-    stopRecording() {
+    // trigger: fin automático por detención prolongada (la sesión termina donde empezó la detención)
+    stopRecording(trigger = null) {
         if (!this.isRecording) return;
         
         this.isRecording = false;
         this.isPaused = false;
+        this.endTime = trigger ? new Date(trigger.detenido_desde) : new Date();
         
-        // Detener sensores
+        // Detener sensores y cerrar las ventanas de contexto abiertas
         this.stopSensors();
+        this.dataProcessor.flushEventContexts();
+        this.dataProcessor.closeSpeedingEpisode();
+        this.rawMotionRecorder.stop();
+        
+        // Guardar datos finales y cerrar la sesión
+        if (this.session) {
+            if (trigger) {
+                this.trimIdleTail(trigger.detenido_desde);
+            }
+            this.session.fin = this.endTime.toISOString();
+            this.session.cierre = 'normal';
+            this.session.motivo_fin = trigger ? trigger.motivo : 'manual';
+            this.session.filtro_gps = this.dataProcessor.gpsFilter.getCounts();
+        }
+        this.saveDataLocally().then(() => this.refreshSessionList());
         
-        // Guardar datos finales
-        this.saveDataLocally();
+        // Cierre limpio: ya no hay grabación que recuperar
+        this.clearJournal();
         
         // Actualizar UI
         this.updateRecordingStatus('stopped');
@@ -281,11 +651,20 @@ class DrivingMonitorApp {
         // Mostrar resumen
         this.showSessionSummary();
         
-        this.alertManager.success('⏹️ Grabación detenida. Datos guardados localmente.');
+        this.alertManager.success(trigger
+            ? `⏹️ Vehículo detenido ${Utils.formatDuration(trigger.detenido_seg)}: grabación terminada automáticamente.`
+            : '⏹️ Grabación detenida. Datos guardados localmente.');
         Utils.log('info', 'Grabación detenida', {
+            sesion: this.sessionId,
             registros: this.data.length,
-            duracion: this.getRecordingDuration()
+            duracion: this.getRecordingDuration(),
+            motivo: trigger ? trigger.motivo : 'manual'
         });
+        
+        // Modo automático: vigilar el siguiente viaje
+        if (this.autoTrip.isEnabled()) {
+            this.armAutoTrip();
+        }
     }
 
     validateStartConditions() {
@@ -306,16 +685,188 @@ class DrivingMonitorApp {
             };
         }
         
-        if (!this.calibrationManager.areAllSensorsReady()) {
+        if (!this.calibrationManager.hasGPSFix() || !this.calibrationManager.isAccelerometerReady()) {
             return {
                 valid: false,
                 message: '⚠️ Ejecuta el modo prueba para verificar sensores'
             };
         }
         
+        // Una fijación no basta: N fijaciones aceptables seguidas, o GPS deficiente aceptado en el modo prueba
+        if (!this.calibrationManager.isGPSAccepted()) {
+            const quality = this.calibrationManager.getGPSQuality();
+            return {
+                valid: false,
+                message: `⚠️ GPS sin la precisión requerida (${quality.fijaciones_consecutivas}/${quality.fijaciones_requeridas} fijaciones aceptables): espera en el modo prueba o confirma continuar con "Modo Experimento"`
+            };
+        }
+        
         return { valid: true };
     }
 
+    // === VIAJE AUTOMÁTICO ===
+
+    // Configuración guardada (el modo se activa en cada uso: requiere el modo prueba)
+    setupAutoTrip() {
+        const settings = Storage.get(this.autoTripKey) || {};
+        
+        if (this.autoTripMinutes && settings.minutos_detenido) {
+            this.autoTripMinutes.value = String(settings.minutos_detenido);
+        }
+        if (this.autoTripAction && AutoTripDetector.ACTIONS.includes(settings.accion)) {
+            this.autoTripAction.value = settings.accion;
+        }
+        
+        this.configureAutoTrip();
+    }
+
+    configureAutoTrip() {
+        const minutes = Number(this.autoTripMinutes?.value) || 3;
+        const action = this.autoTripAction?.value || 'stop';
+        
+        this.autoTrip.configure({ stopAfter: minutes * 60000, action: action });
+        Storage.set(this.autoTripKey, { minutos_detenido: minutes, accion: action });
+        this.updateAutoTripStatus();
+    }
+
+    toggleAutoTrip(enabled) {
+        if (!enabled) {
+            // Sensores encendidos solo para vigilar (sin sesión o en pausa automática)
+            const watching = this.autoTrip.isWatching();
+            this.autoTrip.disable();
+            if (watching) {
+                this.stopSensors();
+            }
+            
+            this.updateAutoTripStatus();
+            this.alertManager.info('🤖 Modo automático desactivado');
+            return;
+        }
+        
+        const validation = this.isReplaying
+            ? { valid: false, message: '⚠️ Detén la reproducción antes de activar el modo automático' }
+            : this.validateStartConditions();
+        if (!validation.valid) {
+            this.alertManager.error(validation.message);
+            if (this.autoTripToggle) this.autoTripToggle.checked = false;
+            return;
+        }
+        
+        if (this.isRecording) {
+            // Grabación en curso: solo se vigila la detención
+            this.autoTrip.arm();
+            this.autoTrip.track();
+            this.updateAutoTripStatus();
+        } else {
+            this.armAutoTrip();
+        }
+        
+        this.alertManager.success('🤖 Modo automático: la grabación inicia al detectar el viaje');
+    }
+
+    // Sensores encendidos sin sesión: las lecturas solo alimentan al detector
+    armAutoTrip() {
+        this.autoTrip.arm();
+        this.startGPS();
+        this.startAccelerometer();
+        this.updateAutoTripStatus();
+    }
+
+    async handleAutoTripStart(trigger) {
+        if (this.isRecording && this.isPaused) {
+            this.resumeAutomatically(trigger);
+        } else if (!this.isRecording) {
+            await this.startRecording(trigger);
+            
+            // No se pudo crear la sesión: seguir vigilando
+            if (!this.isRecording) {
+                this.armAutoTrip();
+            }
+        }
+        
+        this.updateAutoTripStatus();
+    }
+
+    handleAutoTripStop(trigger) {
+        if (!this.isRecording || this.isPaused) return;
+        
+        if (trigger.accion === 'pause') {
+            this.pauseAutomatically(trigger);
+        } else {
+            this.stopRecording(trigger);
+        }
+        
+        this.updateAutoTripStatus();
+    }
+
+    // La pausa empieza donde empezó la detención; los sensores siguen encendidos para detectar la reanudación
+    pauseAutomatically(trigger) {
+        this.isPaused = true;
+        this.pauseTime = new Date(trigger.detenido_desde);
+        this.sensorHealthMonitor.stop();
+        this.trimIdleTail(trigger.detenido_desde);
+        
+        this.session.pausas_automaticas = [
+            ...(this.session.pausas_automaticas || []),
+            { inicio: trigger.detenido_desde, fin: null, motivo: trigger.motivo }
+        ];
+        
+        this.updateRecordingStatus('paused');
+        this.writeJournal();
+        this.saveDataLocally();
+        this.alertManager.warning(`⏸️ Vehículo detenido ${Utils.formatDuration(trigger.detenido_seg)}: grabación pausada`);
+    }
+
+    resumeAutomatically(trigger) {
+        const pause = (this.session.pausas_automaticas || []).findLast(p => !p.fin);
+        if (pause) {
+            pause.fin = trigger.movimiento_desde;
+            pause.motivo_reanudacion = trigger.motivo;
+        }
+        
+        this.togglePause(new Date(trigger.movimiento_desde));
+        this.recordPullAway(trigger.registros);
+    }
+
+    // Lecturas que el detector acumuló desde el inicio del movimiento: se graban con su hora original
+    recordPullAway(samples = []) {
+        samples.forEach(({ timestamp, participante, ...sensorData }) => {
+            this.recordDataPoint(sensorData, new Date(timestamp));
+        });
+    }
+
+    // Quitar los registros posteriores al inicio de la detención (también los ya guardados).
+    // El canal crudo de movimiento se conserva completo.
+    trimIdleTail(since) {
+        const index = this.data.findIndex(record => record.timestamp > since);
+        if (index === -1) return;
+        
+        const removed = this.data.splice(index);
+        this.dataSizeBytes = JSON.stringify(this.data).length;
+        this.session.recortes_inactividad = [
+            ...(this.session.recortes_inactividad || []),
+            { desde: since, hasta: removed[removed.length - 1].timestamp, registros: removed.length }
+        ];
+        
+        // Encadenado con los guardados para no recortar un bloque a medio escribir
+        const sessionId = this.session.id;
+        this.savePromise = this.savePromise
+            .then(async () => {
+                if (this.persistedCount <= index) return;
+                await this.sessionStore.trimRecords(sessionId, since);
+                this.persistedCount = index;
+            })
+            .catch(error => Utils.log('error', 'Error recortando la inactividad final', error));
+        
+        Utils.log('info', `Inactividad recortada: ${removed.length} registros desde ${since}`);
+    }
+
+    updateAutoTripStatus() {
+        if (!this.autoTripStatus) return;
+        
+        this.autoTripStatus.textContent = this.autoTrip.describe();
+    }
+
     // === CONTROL DE SENSORES ===
 
     async startSensors() {
@@ -326,6 +877,9 @@ class DrivingMonitorApp {
             // Iniciar acelerómetro
             this.startAccelerometer();
             
+            // Vigilar frecuencia y caídas de cada sensor
+            this.sensorHealthMonitor.start();
+            
             Utils.log('info', 'Sensores iniciados');
             
         } catch (error) {
@@ -336,10 +890,10 @@ class DrivingMonitorApp {
 
     startGPS() {
         if (this.gpsWatchId) {
-            navigator.geolocation.clearWatch(this.gpsWatchId);
+            this.sensorProvider.clearWatch(this.gpsWatchId);
         }
         
-        this.gpsWatchId = navigator.geolocation.watchPosition(
+        this.gpsWatchId = this.sensorProvider.watchPosition(
             (position) => this.onGPSUpdate(position),
             (error) => this.onGPSError(error),
             this.sensorConfig.gps
@@ -347,8 +901,20 @@ class DrivingMonitorApp {
     }
 
     startAccelerometer() {
+        if (this.onDeviceMotion) {
+            this.sensorProvider.removeMotionListener(this.onDeviceMotion);
+        }
+        
         this.onDeviceMotion = (event) => {
-            if (!this.isRecording || this.isPaused) return;
+            const recording = this.isRecording && !this.isPaused;
+            if (!recording && !this.autoTrip.isWatching()) return;
+            
+            this.sensorHealthMonitor.recordSample('motion');
+            
+            // Canal crudo: cada muestra, sin control de frecuencia (solo con la grabación activa)
+            if (recording) {
+                this.rawMotionRecorder.addSample(event);
+            }
             
             const acceleration = event.accelerationIncludingGravity;
             if (!acceleration) return;
@@ -357,31 +923,81 @@ class DrivingMonitorApp {
                 type: 'motion',
                 x: acceleration.x || 0,
                 y: acceleration.y || 0,
-                z: acceleration.z || 0
+                z: acceleration.z || 0,
+                ...this.readMotionChannels(event),
+                ...this.lastOrientation
             });
         };
         
-        window.addEventListener('devicemotion', this.onDeviceMotion, true);
+        this.sensorProvider.addMotionListener(this.onDeviceMotion);
+        
+        // Orientación: se adjunta a los siguientes registros de movimiento
+        if (this.onDeviceOrientation) {
+            this.sensorProvider.removeOrientationListener(this.onDeviceOrientation);
+        }
+        
+        this.onDeviceOrientation = (event) => {
+            if (event.alpha === null && event.beta === null && event.gamma === null) return;
+            
+            this.sensorHealthMonitor.recordSample('orientation');
+            this.lastOrientation = {
+                orient_alpha: event.alpha,
+                orient_beta: event.beta,
+                orient_gamma: event.gamma
+            };
+        };
+        
+        this.sensorProvider.addOrientationListener(this.onDeviceOrientation);
+    }
+
+    // Aceleración sin gravedad y giroscopio (no todos los dispositivos los reportan)
+    readMotionChannels(event) {
+        const channels = {};
+        
+        if (event.acceleration && event.acceleration.x !== null) {
+            channels.lin_x = event.acceleration.x;
+            channels.lin_y = event.acceleration.y;
+            channels.lin_z = event.acceleration.z;
+        }
+        
+        if (event.rotationRate && event.rotationRate.alpha !== null) {
+            channels.rot_alpha = event.rotationRate.alpha;
+            channels.rot_beta = event.rotationRate.beta;
+            channels.rot_gamma = event.rotationRate.gamma;
+        }
+        
+        return channels;
     }
 
     stopSensors() {
+        // Cerrar los huecos abiertos antes de quitar los listeners
+        this.sensorHealthMonitor.stop();
+        
         // Detener GPS
         if (this.gpsWatchId) {
-            navigator.geolocation.clearWatch(this.gpsWatchId);
+            this.sensorProvider.clearWatch(this.gpsWatchId);
             this.gpsWatchId = null;
         }
         
-        // Detener acelerómetro
+        // Detener acelerómetro y orientación
         if (this.onDeviceMotion) {
-            window.removeEventListener('devicemotion', this.onDeviceMotion);
+            this.sensorProvider.removeMotionListener(this.onDeviceMotion);
             this.onDeviceMotion = null;
         }
         
+        if (this.onDeviceOrientation) {
+            this.sensorProvider.removeOrientationListener(this.onDeviceOrientation);
+            this.onDeviceOrientation = null;
+        }
+        this.lastOrientation = null;
+        
         Utils.log('info', 'Sensores detenidos');
     }
 
     onGPSUpdate(position) {
-        if (!this.isRecording || this.isPaused) return;
+        if ((!this.isRecording || this.isPaused) && !this.autoTrip.isWatching()) return;
+        
+        this.sensorHealthMonitor.recordSample('gps');
         
         const coords = position.coords;
         const now = new Date();
@@ -438,22 +1054,49 @@ class DrivingMonitorApp {
         this.alertManager.warning(message);
     }
 
+    // Cambiar la fuente de sensores (p. ej. new ReplaySensorProvider(registros))
+    setSensorProvider(provider) {
+        if (this.isRecording) {
+            this.alertManager.warning('⚠️ No se puede cambiar la fuente de sensores durante grabación');
+            return false;
+        }
+        
+        this.stopSensors();
+        this.sensorProvider = provider;
+        this.calibrationManager.setSensorProvider(provider);
+        
+        Utils.log('info', `Fuente de sensores: ${provider.name}`);
+        this.alertManager.info(`📡 Fuente de sensores: ${provider.name}`);
+        return true;
+    }
+
     // === PROCESAMIENTO DE DATOS ===
 
-    recordDataPoint(sensorData) {
-        if (!this.isRecording || this.isPaused) return;
+    recordDataPoint(sensorData, now = new Date()) {
+        
+        // Sin grabación activa las lecturas solo sirven para detectar el inicio del viaje
+        if (!this.isRecording || this.isPaused) {
+            if (this.autoTrip.isWatching() && !this.isReplaying) {
+                this.autoTrip.watch({
+                    timestamp: now.toISOString(),
+                    participante: this.participantInput.value.trim(),
+                    ...sensorData
+                });
+            }
+            return;
+        }
         
-        const now = new Date();
         const baseRecord = {
             timestamp: now.toISOString(),
+            session_id: this.sessionId,
             participante: this.participantInput.value.trim(),
             grupo: this.groupSelect.value,
             session_time: Math.round((now - this.startTime - this.totalPausedTime) / 1000),
             ...sensorData
         };
         
-        // Combinar con último registro para datos completos
-        const lastRecord = this.data[this.data.length - 1];
+        // Combinar con último registro para datos completos (los huecos no tienen lecturas)
+        const lastRecord = this.data.findLast(record => record.type !== 'gap');
         const completeRecord = this.mergeWithLastRecord(baseRecord, lastRecord);
         
         // Procesar con DataProcessor
@@ -461,11 +1104,15 @@ class DrivingMonitorApp {
         
         if (result) {
             this.data.push(result.processed);
+            this.dataSizeBytes += JSON.stringify(result.processed).length;
             
             // Guardar periódicamente
             if (this.data.length % 50 === 0) {
                 this.saveDataLocally();
             }
+            
+            // Modo automático: detención prolongada → fin o pausa de la sesión
+            this.autoTrip.observe(result.processed);
         }
     }
 
@@ -492,6 +1139,11 @@ class DrivingMonitorApp {
         // Actualizar contadores en UI
         this.updateEventCounters(eventData.counters);
         
+        // Se guarda con el siguiente bloque de registros
+        if (this.isRecording) {
+            this.pendingEvents.push(eventData.event);
+        }
+        
         // Log del evento
         Utils.log('info', 'Evento detectado', eventData.event);
         
@@ -506,6 +1158,34 @@ class DrivingMonitorApp {
         this.harshBrakeCount.textContent = counters.harsh_braking || 0;
         this.aggressiveTurnCount.textContent = counters.aggressive_turn || 0;
         this.speedingCount.textContent = counters.speeding || 0;
+        this.updateSeverityCounters();
+        this.updateSpeedingExposure();
+    }
+
+    // Leves (low + moderate) separados de altos y extremos; la tarjeta se resalta con extremos
+    updateSeverityCounters() {
+        const severity = this.dataProcessor.getSeverityCounters();
+        
+        Object.entries(this.severityDisplays).forEach(([type, element]) => {
+            if (!element) return;
+            
+            const counts = severity[type] || {};
+            const mild = (counts.low || 0) + (counts.moderate || 0);
+            const total = mild + (counts.high || 0) + (counts.extreme || 0);
+            
+            element.textContent = total > 0 ? `🟢${mild} 🟠${counts.high || 0} 🔴${counts.extreme || 0}` : '';
+            element.parentElement?.classList.toggle('has-extreme', (counts.extreme || 0) > 0);
+        });
+    }
+
+    // Porcentaje del tiempo y de la distancia en movimiento sobre el límite
+    updateSpeedingExposure() {
+        if (!this.speedingExposure) return;
+        
+        const summary = this.dataProcessor.getSpeedingSummary();
+        this.speedingExposure.textContent = summary.moving_time_sec > 0
+            ? `🏃 Sobre el límite: ${summary.percent_time_over_limit}% del tiempo · ${summary.percent_distance_over_limit}% de la distancia${summary.ongoing ? ' (en curso)' : ''}`
+            : '';
     }
 
     provideFeedback(event) {
@@ -547,88 +1227,377 @@ class DrivingMonitorApp {
 
     // === GESTIÓN DE DATOS ===
 
+    // Guardar solo los registros nuevos como un bloque adicional
     saveDataLocally() {
+        // Encadenar guardados para que los bloques no se intercalen
+        this.savePromise = this.savePromise
+            .then(() => this.persistPendingData())
+            .catch(() => {});
+        return this.savePromise;
+    }
+
+    async persistPendingData() {
         try {
-            const participantId = this.participantInput.value.trim();
-            const today = Utils.formatDateTime().date;
-            const key = `driving_data_${participantId}_${today}`;
+            // Las reproducciones solo viven en memoria
+            if (!this.session || this.isReplaying || this.session.reproduccion_de) return;
             
-            const dataToSave = {
-                participante: participantId,
-                grupo: this.groupSelect.value,
-                fecha: today,
-                inicio: this.startTime ? this.startTime.toISOString() : null,
+            const pending = this.data.slice(this.persistedCount);
+            if (pending.length > 0) {
+                await this.sessionStore.appendRecords(this.session.id, pending);
+                this.persistedCount += pending.length;
+            }
+            
+            // Quitar de la cola solo lo que quedó guardado
+            const events = this.pendingEvents.slice();
+            if (events.length > 0) {
+                await this.sessionStore.appendEvents(this.session.id, events);
+                this.pendingEvents.splice(0, events.length);
+            }
+            
+            this.session = {
+                ...this.session,
                 ultima_actualizacion: new Date().toISOString(),
                 duracion_total_seg: this.getRecordingDuration(),
-                total_registros: this.data.length,
+                total_registros: this.persistedCount,
                 contadores_eventos: this.dataProcessor.getCurrentCounters(),
-                datos: this.data
+                exceso_velocidad: this.dataProcessor.getSpeedingSummary()
             };
+            await this.sessionStore.saveSession(this.session);
             
-            Storage.set(key, dataToSave);
-            Utils.log('info', `Datos guardados localmente: ${this.data.length} registros`);
+            Utils.log('info', `Datos guardados localmente: ${this.persistedCount} registros`);
             
         } catch (error) {
             Utils.log('error', 'Error guardando datos localmente', error);
             this.alertManager.warning('⚠️ Error guardando datos localmente');
+            throw error;
+        }
+    }
+
+    async migrateLegacyData() {
+        try {
+            const migrated = await this.sessionStore.migrateFromLocalStorage();
+            if (migrated > 0) {
+                this.alertManager.info(`💾 ${migrated} sesiones anteriores movidas a IndexedDB`);
+            }
+        } catch (error) {
+            Utils.log('error', 'Error migrando datos de localStorage', error);
+        }
+    }
+
+    // === DIARIO DE GRABACIÓN ===
+
+    // Estado mínimo para reanudar tras un cierre inesperado (localStorage es síncrono)
+    writeJournal() {
+        if (!this.isRecording || !this.session) return;
+        
+        Storage.set(this.journalKey, {
+            session_id: this.session.id,
+            participante: this.session.participante,
+            grupo: this.session.grupo,
+            estado: this.isPaused ? 'paused' : 'recording',
+            inicio: this.startTime.toISOString(),
+            total_pausado_ms: this.totalPausedTime,
+            pausa_desde: this.isPaused && this.pauseTime ? this.pauseTime.toISOString() : null,
+            ultimo_latido: new Date().toISOString(),
+            registros_guardados: this.persistedCount
+        });
+    }
+
+    clearJournal() {
+        Storage.remove(this.journalKey);
+    }
+
+    // Detectar una grabación que terminó sin pasar por stopRecording()
+    async recoverInterruptedSession() {
+        const journal = Storage.get(this.journalKey);
+        if (!journal) return false;
+        
+        try {
+            const saved = await this.sessionStore.loadSession(journal.session_id);
+            if (!saved || saved.meta.fin) {
+                this.clearJournal();
+                return false;
+            }
+            
+            const lastRecord = saved.records[saved.records.length - 1];
+            const lastSeen = new Date(journal.ultimo_latido);
+            const message = `⚠️ La sesión ${journal.session_id} se interrumpió ` +
+                `(última actividad ${Utils.formatDateTime(lastSeen).time}, ${saved.records.length} registros guardados).\n\n` +
+                '¿Reanudar la grabación? Cancelar cierra la sesión con los datos guardados.';
+            
+            if (confirm(message)) {
+                await this.resumeInterruptedSession(journal, saved);
+                return true;
+            }
+            
+            // Cerrar la sesión en el último momento conocido
+            const lastTime = lastRecord && new Date(lastRecord.timestamp) > lastSeen
+                ? new Date(lastRecord.timestamp)
+                : lastSeen;
+            await this.sessionStore.saveSession({
+                ...saved.meta,
+                fin: lastTime.toISOString(),
+                cierre: 'interrumpida',
+                motivo_fin: 'interrupcion_app'
+            });
+            this.clearJournal();
+            
+            this.alertManager.info(`💾 Sesión ${journal.session_id} cerrada tras interrupción`);
+            Utils.log('warn', 'Sesión interrumpida cerrada sin reanudar', journal);
+            return false;
+            
+        } catch (error) {
+            Utils.log('error', 'Error recuperando sesión interrumpida', error);
+            return false;
+        }
+    }
+
+    async resumeInterruptedSession(journal, saved) {
+        const now = new Date();
+        
+        // Restaurar configuración y datos de la sesión
+        this.participantInput.value = journal.participante;
+        this.groupSelect.value = journal.grupo;
+        this.session = saved.meta;
+        this.sessionId = saved.meta.id;
+        this.data = saved.records;
+        this.persistedCount = saved.records.length;
+        this.dataSizeBytes = JSON.stringify(this.data).length;
+        
+        this.pendingEvents = [];
+        
+        this.dataProcessor.resetCounters();
+        Object.keys(saved.meta.contadores_eventos || {}).forEach(eventType => {
+            this.dataProcessor.eventCounters[eventType] = saved.meta.contadores_eventos[eventType];
+        });
+        this.dataProcessor.restoreEvents(saved.events);
+        this.updateEventCounters(this.dataProcessor.getCurrentCounters());
+        
+        // Restaurar tiempos; la interrupción cuenta como tiempo en pausa
+        this.startTime = new Date(journal.inicio);
+        this.totalPausedTime = journal.total_pausado_ms || 0;
+        if (journal.estado === 'paused' && journal.pausa_desde) {
+            this.totalPausedTime += new Date(journal.ultimo_latido) - new Date(journal.pausa_desde);
+        }
+        
+        // El hueco empieza en el último registro que llegó a guardarse
+        const lastRecord = this.data[this.data.length - 1];
+        const gapStart = lastRecord ? new Date(lastRecord.timestamp) : new Date(journal.ultimo_latido);
+        const gapRecord = this.createGapRecord(gapStart, now, 'interrupcion_app', {
+            ultimo_latido: journal.ultimo_latido
+        });
+        this.data.push(gapRecord);
+        this.dataSizeBytes += JSON.stringify(gapRecord).length;
+        this.totalPausedTime += now - new Date(journal.ultimo_latido);
+        
+        this.session.interrupciones = [
+            ...(this.session.interrupciones || []),
+            {
+                inicio: gapRecord.gap_start,
+                fin: gapRecord.gap_end,
+                duracion_seg: gapRecord.gap_duration_sec
+            }
+        ];
+        
+        // Reanudar grabación (los bloques crudos continúan la numeración)
+        this.rawMotionRecorder.start(this.sessionId);
+        this.isRecording = true;
+        this.isPaused = false;
+        this.endTime = null;
+        this.updateRecordingStatus('recording');
+        await this.startSensors();
+        this.writeJournal();
+        this.notifyServiceWorker('START_RECORDING');
+        this.saveDataLocally();
+        
+        this.alertManager.warning(`▶️ Sesión ${this.sessionId} reanudada. Hueco de ${Utils.formatDuration(gapRecord.gap_duration_sec)} marcado en los datos.`);
+        Utils.log('warn', 'Sesión interrumpida reanudada', {
+            sesion: this.sessionId,
+            hueco_seg: gapRecord.gap_duration_sec
+        });
+    }
+
+    // Registro explícito de hueco en los datos (sin lecturas de sensores)
+    // stampedAt: hora del registro en la sesión (por defecto el inicio del hueco)
+    createGapRecord(start, end, reason, extra = {}, stampedAt = start) {
+        return {
+            type: 'gap',
+            timestamp: stampedAt.toISOString(),
+            session_id: this.sessionId,
+            participante: this.participantInput.value.trim(),
+            grupo: this.groupSelect.value,
+            session_time: Math.max(0, Math.round((stampedAt - this.startTime - this.totalPausedTime) / 1000)),
+            gap_start: start.toISOString(),
+            gap_end: end.toISOString(),
+            gap_duration_sec: Math.max(0, Math.round((end - start) / 1000)),
+            gap_reason: reason,
+            ...extra
+        };
+    }
+
+    // Hueco cerrado por el monitor de salud: queda como registro en la sesión.
+    // Se agrega al cerrarse, así que lleva la hora de fin para no quedar antes de los registros del otro sensor
+    handleSensorGap(gap) {
+        if (!this.sessionId || this.isReplaying) return;
+        
+        const end = new Date(gap.end);
+        const gapRecord = this.createGapRecord(new Date(gap.start), end, `sin_datos_${gap.sensor}`, {
+            gap_sensor: gap.sensor
+        }, end);
+        this.data.push(gapRecord);
+        this.dataSizeBytes += JSON.stringify(gapRecord).length;
+    }
+
+    handleSensorStatus({ label, status, duration_ms }) {
+        if (status === 'dropout') {
+            this.alertManager.warning(`⚠️ ${label}: sin datos desde hace ${Math.round(duration_ms / 1000)} s`);
+        } else if (status === 'recovered') {
+            this.alertManager.info(`📡 ${label} recuperado tras ${Utils.formatDuration(Math.round(duration_ms / 1000))}`);
         }
     }
 
-    loadExistingData() {
+    // Cargar la sesión más reciente del participante
+    async loadExistingData() {
         try {
             const participantId = this.participantInput?.value?.trim();
             if (!participantId) return;
             
-            const today = Utils.formatDateTime().date;
-            const key = `driving_data_${participantId}_${today}`;
-            const savedData = Storage.get(key);
-            
-            if (savedData && savedData.datos) {
-                this.data = savedData.datos;
-                
-                // Restaurar contadores del procesador
-                if (savedData.contadores_eventos) {
-                    Object.keys(savedData.contadores_eventos).forEach(eventType => {
-                        this.dataProcessor.eventCounters[eventType] = savedData.contadores_eventos[eventType];
-                    });
-                    this.updateEventCounters(savedData.contadores_eventos);
+            const sessions = await this.refreshSessionList();
+            if (sessions.length === 0) {
+                // No mostrar datos de otro participante
+                if (this.session && this.session.participante !== participantId) {
+                    this.resetLoadedSession();
                 }
-                
-                this.alertManager.info(`💾 Datos existentes cargados: ${this.data.length} registros`);
-                this.updateExportButtons();
+                return;
             }
             
+            await this.loadSession(sessions[sessions.length - 1].id);
+            
         } catch (error) {
             Utils.log('error', 'Error cargando datos existentes', error);
         }
     }
 
-    clearAllData() {
-        if (this.isRecording) {
+    async loadSession(sessionId) {
+        try {
+            const saved = await this.sessionStore.loadSession(sessionId);
+            if (!saved) return false;
+            
+            this.session = saved.meta;
+            this.sessionId = saved.meta.id;
+            this.data = saved.records;
+            this.persistedCount = saved.records.length;
+            this.pendingEvents = [];
+            this.dataSizeBytes = JSON.stringify(this.data).length;
+            
+            // Restaurar contadores y línea de tiempo del procesador
+            this.dataProcessor.resetCounters();
+            if (saved.meta.contadores_eventos) {
+                Object.keys(saved.meta.contadores_eventos).forEach(eventType => {
+                    this.dataProcessor.eventCounters[eventType] = saved.meta.contadores_eventos[eventType];
+                });
+            }
+            this.dataProcessor.restoreEvents(saved.events);
+            this.updateEventCounters(this.dataProcessor.getCurrentCounters());
+            
+            if (this.sessionSelect) {
+                this.sessionSelect.value = this.sessionId;
+            }
+            
+            this.alertManager.info(`💾 Sesión ${this.sessionId} cargada: ${this.data.length} registros`);
+            this.recordCount.textContent = this.data.length;
+            this.dataSize.textContent = Math.round(this.dataSizeBytes / 1024);
+            this.updateExportButtons();
+            this.hideStatsPanel();
+            return true;
+            
+        } catch (error) {
+            Utils.log('error', `Error cargando sesión ${sessionId}`, error);
+            return false;
+        }
+    }
+
+    resetLoadedSession() {
+        this.session = null;
+        this.sessionId = null;
+        this.data = [];
+        this.dataSizeBytes = 0;
+        this.persistedCount = 0;
+        this.pendingEvents = [];
+        this.dataProcessor.resetCounters();
+        this.updateEventCounters(this.dataProcessor.getCurrentCounters());
+        this.recordCount.textContent = 0;
+        this.dataSize.textContent = 0;
+        this.updateExportButtons();
+        this.hideStatsPanel();
+    }
+
+    // Llenar el selector con las sesiones del participante
+    async refreshSessionList() {
+        const participantId = this.participantInput?.value?.trim();
+        if (!this.sessionSelect || !participantId) return [];
+        
+        try {
+            const sessions = await this.sessionStore.listSessions(participantId);
+            
+            this.sessionSelect.innerHTML = '';
+            if (sessions.length === 0) {
+                this.sessionSelect.innerHTML = '<option value="">Sin sesiones guardadas</option>';
+            }
+            
+            sessions.forEach(meta => {
+                const option = document.createElement('option');
+                option.value = meta.id;
+                option.textContent = this.formatSessionLabel(meta);
+                this.sessionSelect.appendChild(option);
+            });
+            
+            if (this.sessionId && sessions.some(meta => meta.id === this.sessionId)) {
+                this.sessionSelect.value = this.sessionId;
+            }
+            this.sessionSelect.disabled = this.isRecording || sessions.length === 0;
+            
+            return sessions;
+            
+        } catch (error) {
+            Utils.log('error', 'Error listando sesiones', error);
+            return [];
+        }
+    }
+
+    formatSessionLabel(meta) {
+        const start = meta.inicio ? Utils.formatDateTime(new Date(meta.inicio)).time.slice(0, 5) : '--:--';
+        const end = meta.fin ? Utils.formatDateTime(new Date(meta.fin)).time.slice(0, 5) : 'en curso';
+        const sequence = meta.secuencia ? `#${meta.secuencia}` : '';
+        return `${meta.fecha} ${sequence} · ${start}–${end} (${meta.total_registros || 0} reg.)`;
+    }
+
+    handleSessionSelection() {
+        const sessionId = this.sessionSelect?.value;
+        if (!sessionId || this.isRecording || this.isReplaying || sessionId === this.sessionId) return;
+        
+        this.loadSession(sessionId);
+    }
+
+    async clearAllData() {
+        if (this.isRecording || this.isReplaying) {
             this.alertManager.warning('⚠️ No se puede limpiar datos durante grabación');
             return;
         }
         
-        if (confirm('¿Estás seguro de que quieres eliminar todos los datos? Esta acción no se puede deshacer.')) {
+        const sessionLabel = this.sessionId ? ` de la sesión ${this.sessionId}` : '';
+        if (confirm(`¿Estás seguro de que quieres eliminar los datos${sessionLabel}? Esta acción no se puede deshacer.`)) {
             try {
-                // Limpiar datos en memoria
-                this.data = [];
-                this.dataProcessor.resetCounters();
-                
-                // Limpiar localStorage
-                const participantId = this.participantInput?.value?.trim();
-                if (participantId) {
-                    const today = Utils.formatDateTime().date;
-                    const key = `driving_data_${participantId}_${today}`;
-                    Storage.remove(key);
+                // Limpiar IndexedDB
+                if (this.sessionId) {
+                    await this.sessionStore.deleteSession(this.sessionId);
                 }
                 
-                // Actualizar UI
-                this.updateEventCounters(this.dataProcessor.getCurrentCounters());
-                this.updateExportButtons();
-                this.hideStatsPanel();
+                // Limpiar datos en memoria y actualizar UI
+                this.resetLoadedSession();
+                await this.refreshSessionList();
                 
-                this.alertManager.success('🗑️ Todos los datos han sido eliminados');
+                this.alertManager.success('🗑️ Datos de la sesión eliminados');
                 Utils.log('info', 'Datos eliminados por usuario');
                 
             } catch (error) {
@@ -665,16 +1634,16 @@ class DrivingMonitorApp {
             // Exportar según formato
             switch (format) {
                 case 'json':
-                    await this.exportManager.exportJSON(this.data, participantId, groupType);
+                    await this.exportManager.exportJSON(this.data, participantId, groupType, this.session);
                     break;
                 case 'csv':
-                    await this.exportManager.exportCSV(this.data, participantId, groupType);
+                    await this.exportManager.exportCSV(this.data, participantId, groupType, this.session);
                     break;
                 case 'stats':
-                    await this.exportManager.exportStatistics(this.data, participantId, groupType);
+                    await this.exportManager.exportStatistics(this.data, participantId, groupType, this.session);
                     break;
                 case 'all':
-                    await this.exportManager.exportAll(this.data, participantId, groupType);
+                    await this.exportManager.exportAll(this.data, participantId, groupType, this.session);
                     break;
                 default:
                     throw new Error('Formato de exportación no válido');
@@ -686,6 +1655,235 @@ class DrivingMonitorApp {
         }
     }
 
+    // === REPRODUCCIÓN DE VIAJES ===
+
+    toggleReplay() {
+        if (this.isReplaying) {
+            this.stopReplay();
+        } else {
+            this.startReplay();
+        }
+    }
+
+    // Reprocesar un archivo exportado con un DataProcessor nuevo
+    async startReplay(file = this.replayFileInput?.files?.[0], speed = parseFloat(this.replaySpeedSelect?.value ?? '1'), thresholds = null) {
+        if (this.isRecording) {
+            this.alertManager.warning('⚠️ No se puede reproducir durante una grabación');
+            return;
+        }
+        
+        if (!file) {
+            this.alertManager.warning('⚠️ Selecciona un archivo JSON o CSV exportado');
+            return;
+        }
+        
+        try {
+            const records = await TripReplay.readFile(file);
+            if (records.length === 0) {
+                throw new Error('El archivo no contiene registros válidos');
+            }
+            
+            // Procesador nuevo con los mismos listeners y umbrales que en grabación
+            this.dataProcessor = new DataProcessor();
+            this.exportManager.setDataProcessor(this.dataProcessor);
+            this.setupDataProcessor();
+            if (thresholds) {
+                this.dataProcessor.setThresholds(thresholds);
+            }
+            
+            // Sesión solo en memoria (no se guarda en IndexedDB)
+            const sourceId = records.find(r => r.session_id)?.session_id || file.name.replace(/\.[^.]+$/, '');
+            this.session = {
+                id: `${sourceId}-replay`,
+                participante: records[0].participante,
+                reproduccion_de: file.name,
+                inicio: records[0].timestamp,
+                fin: null
+            };
+            this.sessionId = this.session.id;
+            this.data = [];
+            this.dataSizeBytes = 0;
+            this.persistedCount = 0;
+            this.pendingEvents = [];
+            this.updateEventCounters(this.dataProcessor.getCurrentCounters());
+            this.hideStatsPanel();
+            
+            if (!this.participantInput.value.trim() && Utils.validateParticipantId(records[0].participante)) {
+                this.participantInput.value = records[0].participante;
+            }
+            
+            this.tripReplay = new TripReplay({
+                speed: speed,
+                onRecord: (record) => this.handleReplayRecord(record),
+                onProgress: (done, total) => this.updateReplayProgress(done, total),
+                onComplete: () => this.finishReplay()
+            });
+            this.tripReplay.load(records);
+            
+            this.isReplaying = true;
+            this.updateRecordingStatus('replaying');
+            this.tripReplay.start();
+            
+            this.alertManager.info(`🔁 Reproduciendo ${records.length} registros de ${file.name}`);
+            Utils.log('info', 'Reproducción iniciada', {
+                archivo: file.name,
+                registros: records.length,
+                velocidad: speed || 'máxima'
+            });
+            
+        } catch (error) {
+            Utils.log('error', 'Error iniciando reproducción', error);
+            this.alertManager.error('❌ Error al reproducir: ' + error.message);
+        }
+    }
+
+    handleReplayRecord(record) {
+        const result = this.dataProcessor.processDataPoint(record);
+        if (!result) return;
+        
+        this.data.push(result.processed);
+        this.dataSizeBytes += JSON.stringify(result.processed).length;
+        
+        if (result.processed.velocidad !== undefined) {
+            this.currentSpeed.textContent = Math.round(Math.max(0, result.processed.velocidad));
+        }
+    }
+
+    updateReplayProgress(done, total) {
+        this.recordCount.textContent = this.data.length;
+        this.dataSize.textContent = Math.round(this.dataSizeBytes / 1024);
+        
+        if (this.data.length > 1) {
+            const elapsed = this.dataProcessor.calculateTotalTime(this.data) / 1000;
+            this.duration.textContent = Utils.formatDuration(Math.round(elapsed));
+        }
+        
+        const statusText = this.statusDisplay?.querySelector('strong');
+        if (statusText) {
+            statusText.textContent = `🔁 Reproduciendo... ${Math.round((done / total) * 100)}%`;
+        }
+    }
+
+    stopReplay() {
+        if (!this.isReplaying) return;
+        
+        this.tripReplay.pause();
+        this.finishReplay();
+    }
+
+    finishReplay() {
+        this.dataProcessor.flushEventContexts();
+        this.dataProcessor.closeSpeedingEpisode();
+        this.isReplaying = false;
+        
+        if (this.session && this.data.length > 0) {
+            this.session.fin = this.data[this.data.length - 1].timestamp;
+        }
+        
+        this.updateRecordingStatus('stopped');
+        this.updateExportButtons();
+        
+        const events = this.dataProcessor.getCurrentCounters();
+        const totalEvents = Object.values(events).reduce((a, b) => a + b, 0);
+        this.alertManager.success(`✅ Reproducción terminada: ${this.data.length} registros, ${totalEvents} eventos`);
+        Utils.log('info', 'Reproducción terminada', {
+            registros: this.data.length,
+            eventos: events
+        });
+        
+        if (this.data.length > 0) {
+            this.showStatsPanel();
+        }
+    }
+
+    // === ESCENARIOS SINTÉTICOS ===
+
+    populateScenarioSelect() {
+        if (!this.scenarioSelect) return;
+        
+        const scenarios = ScenarioGenerator.SCENARIOS;
+        this.scenarioSelect.innerHTML = Object.keys(scenarios)
+            .map(name => `<option value="${name}" title="${scenarios[name].descripcion}">${name.replace(/_/g, ' ')}</option>`)
+            .join('');
+    }
+
+    // Descargar datos + etiquetas (los datos se pueden cargar en Reproducir Viaje)
+    generateScenario(name = this.scenarioSelect?.value, options = {}, params = {}) {
+        if (!name) return null;
+        
+        try {
+            // Etiquetar con los umbrales que usa la app, no con los de fábrica
+            const generator = new ScenarioGenerator({
+                thresholds: this.dataProcessor.thresholds,
+                speedLimit: this.dataProcessor.speedLimits.default,
+                ...options
+            });
+            const result = generator.generate(name, params);
+            const files = generator.download(result, this.exportManager);
+            
+            this.alertManager.success(`🧪 Escenario generado: ${result.records.length} registros, ${result.labels.length} eventos etiquetados`);
+            Utils.log('info', 'Escenario sintético generado', { escenario: name, archivos: files });
+            
+            return result;
+            
+        } catch (error) {
+            Utils.log('error', 'Error generando escenario', error);
+            this.alertManager.error('❌ Error generando escenario: ' + error.message);
+            return null;
+        }
+    }
+
+    // Comparar el detector contra etiquetas (archivo de datos o sesión cargada)
+    async evaluateDetection(dataFile = this.replayFileInput?.files?.[0], labelFile = this.labelFileInput?.files?.[0], tolerance = 2) {
+        if (!labelFile) {
+            this.alertManager.warning('⚠️ Selecciona un archivo de etiquetas');
+            return null;
+        }
+        
+        try {
+            const records = dataFile
+                ? await TripReplay.readFile(dataFile)
+                : this.data.filter(record => record.type !== 'gap').map(record => TripReplay.toRawRecord(record));
+            
+            if (records.length === 0) {
+                throw new Error('No hay registros para evaluar');
+            }
+            
+            const labelText = await labelFile.text();
+            const labels = DetectionEvaluator.parseLabels(labelText);
+            const conditions = DetectionEvaluator.parseConditions(labelText);
+            const evaluator = new DetectionEvaluator({
+                tolerance: tolerance,
+                thresholds: this.dataProcessor.thresholds,
+                speedZones: this.dataProcessor.speedZones,
+                analysis: Storage.get(this.analysisKey)
+            });
+            const report = evaluator.evaluate(records, labels, conditions);
+            
+            const filename = `evaluacion-${(dataFile?.name || this.sessionId || 'sesion').replace(/\.(json|csv)$/i, '')}.json`;
+            this.exportManager.downloadFile(JSON.stringify(report, null, 2), filename, 'application/json');
+            
+            const summary = Object.entries(report.por_tipo)
+                .filter(([, metrics]) => metrics.f1 !== null)
+                .map(([type, metrics]) => `${type}: F1 ${metrics.f1}`)
+                .join(', ');
+            this.alertManager.success(`📏 Evaluación lista (${labels.length} etiquetas, ${report.total_detecciones} detecciones)${summary ? ' - ' + summary : ''}`);
+            
+            const failed = report.condiciones.filter(condition => condition.cumple === false);
+            if (failed.length > 0) {
+                this.alertManager.warning(`⚠️ ${failed.length} pérdida(s) de GPS con detenciones falsas`);
+            }
+            Utils.log('info', 'Evaluación de detección', DetectionEvaluator.formatReport(report));
+            
+            return report;
+            
+        } catch (error) {
+            Utils.log('error', 'Error evaluando detección', error);
+            this.alertManager.error('❌ Error evaluando detección: ' + error.message);
+            return null;
+        }
+    }
+
     // === UI Y ESTADO ===
 
     updateUI() {
@@ -698,15 +1896,21 @@ class DrivingMonitorApp {
             this.duration.textContent = Utils.formatDuration(elapsed);
         }
         
-        // Actualizar tamaño de datos
-        const sizeBytes = JSON.stringify(this.data).length;
-        this.dataSize.textContent = Math.round(sizeBytes / 1024);
+        // Actualizar tamaño de datos (acumulado, sin serializar todo cada segundo)
+        this.dataSize.textContent = Math.round(this.dataSizeBytes / 1024);
+        
+        this.updateSpeedingExposure();
+        
+        // Frecuencia en vivo de cada sensor
+        if (this.sensorHealth) {
+            this.sensorHealth.textContent = this.isRecording ? this.sensorHealthMonitor.describe() : '';
+        }
         
         // Actualizar botones de exportación
         this.updateExportButtons();
         
         // Cargar datos cuando cambie participante
-        if (!this.isRecording) {
+        if (!this.isRecording && !this.isReplaying) {
             this.loadExistingData();
         }
     }
@@ -730,6 +1934,7 @@ class DrivingMonitorApp {
                 this.stopBtn.disabled = false;
                 this.participantInput.disabled = true;
                 this.groupSelect.disabled = true;
+                if (this.sessionSelect) this.sessionSelect.disabled = true;
                 break;
                 
             case 'paused':
@@ -738,6 +1943,16 @@ class DrivingMonitorApp {
                 this.pauseBtn.textContent = '▶️ Reanudar';
                 break;
                 
+            case 'replaying':
+                statusIndicator.classList.add('status-replaying');
+                statusText.textContent = '🔁 Reproduciendo...';
+                this.startBtn.disabled = true;
+                this.participantInput.disabled = true;
+                this.groupSelect.disabled = true;
+                if (this.sessionSelect) this.sessionSelect.disabled = true;
+                if (this.replayBtn) this.replayBtn.textContent = '⏹️ Detener';
+                break;
+                
             case 'stopped':
             default:
                 statusIndicator.classList.add('status-stopped');
@@ -749,6 +1964,8 @@ class DrivingMonitorApp {
                 this.stopBtn.disabled = true;
                 this.participantInput.disabled = false;
                 this.groupSelect.disabled = false;
+                if (this.sessionSelect) this.sessionSelect.disabled = false;
+                if (this.replayBtn) this.replayBtn.textContent = '▶️ Reproducir';
                 break;
         }
     }
@@ -765,7 +1982,7 @@ class DrivingMonitorApp {
     getRecordingDuration() {
         if (!this.startTime) return 0;
         
-        const endTime = this.isPaused ? this.pauseTime : new Date();
+        const endTime = this.isPaused ? this.pauseTime : this.endTime || new Date();
         return Math.floor((endTime - this.startTime - this.totalPausedTime) / 1000);
     }
 
@@ -810,6 +2027,7 @@ class DrivingMonitorApp {
                     <p><strong>Registros:</strong> ${stats.session_summary?.total_records || 0}</p>
                     <p><strong>Distancia:</strong> ${stats.session_summary?.total_distance_km || 0} km</p>
                     <p><strong>Tiempo:</strong> ${stats.session_summary?.total_time_minutes || 0} min</p>
+                    <p><strong>Detenciones:</strong> ${stats.stops_summary?.stops || 0} (${stats.stops_summary?.idle_percent || 0}% del tiempo detenido)</p>
                     <p><strong>Velocidad promedio:</strong> ${stats.session_summary?.average_speed || 0} km/h</p>
                     <p><strong>Velocidad máxima:</strong> ${stats.session_summary?.max_speed || 0} km/h</p>
                 </div>
@@ -821,6 +2039,17 @@ class DrivingMonitorApp {
                     <p><strong>Frenado brusco:</strong> ${stats.events_summary?.harsh_braking || 0}</p>
                     <p><strong>Giros agresivos:</strong> ${stats.events_summary?.aggressive_turns || 0}</p>
                     <p><strong>Exceso velocidad:</strong> ${stats.events_summary?.speeding_events || 0}</p>
+                    <p><strong>Leves / altos / extremos:</strong> ${stats.severity_summary?.mild || 0} / ${stats.severity_summary?.high || 0} / ${stats.severity_summary?.extreme || 0}</p>
+                    <p><strong>Índice ponderado:</strong> ${stats.severity_summary?.weighted_index || 0} (${stats.severity_summary?.weighted_per_km || 0}/km)</p>
+                </div>
+                
+                <div class="stat-card">
+                    <h4>🏃 Exceso de Velocidad</h4>
+                    <p><strong>Episodios:</strong> ${stats.speeding_summary?.episodes || 0}</p>
+                    <p><strong>Tiempo sobre el límite:</strong> ${stats.speeding_summary?.percent_time_over_limit || 0}% (${stats.speeding_summary?.time_over_limit_sec || 0} s)</p>
+                    <p><strong>Distancia sobre el límite:</strong> ${stats.speeding_summary?.percent_distance_over_limit || 0}% (${stats.speeding_summary?.distance_over_limit_km || 0} km)</p>
+                    <p><strong>Episodio más largo:</strong> ${stats.speeding_summary?.longest_episode_sec || 0} s</p>
+                    <p><strong>Exceso máximo / promedio:</strong> ${stats.speeding_summary?.peak_excess_kmh || 0} / ${stats.speeding_summary?.mean_excess_kmh || 0} km/h</p>
                 </div>
                 
                 <div class="stat-card">
@@ -830,6 +2059,7 @@ class DrivingMonitorApp {
                     <p><strong>Giros:</strong> ${stats.events_per_km?.aggressive_turns_per_km || 0}/km</p>
                     <p><strong>Velocidad:</strong> ${stats.events_per_km?.speeding_per_km || 0}/km</p>
                     <p><strong>Total:</strong> ${stats.events_per_km?.total_events_per_km || 0}/km</p>
+                    <p><strong>Por hora en movimiento:</strong> ${stats.events_per_hour?.total_events_per_hour || 0}/h</p>
                 </div>
                 
                 <div class="stat-card">
@@ -840,6 +2070,26 @@ class DrivingMonitorApp {
                 </div>
             </div>
             
+            ${stats.segments_summary?.segments.length > 0 ? `
+                <div class="segments">
+                    <h4>🧭 Tramos (${stats.segments_summary.total_segments})</h4>
+                    <table class="segments-table">
+                        <tr><th>#</th><th>Inicio</th><th>Min</th><th>Km</th><th>Vel. prom / máx</th><th>Eventos</th><th>Riesgo</th></tr>
+                        ${stats.segments_summary.segments.map(segment => `
+                            <tr>
+                                <td>${segment.segment}</td>
+                                <td>${Utils.formatDateTime(new Date(segment.start)).time}</td>
+                                <td>${segment.duration_minutes}</td>
+                                <td>${segment.distance_km}</td>
+                                <td>${segment.average_speed} / ${segment.max_speed}</td>
+                                <td>${segment.events.total_events}</td>
+                                <td>${segment.risk_score} (${segment.risk_level})</td>
+                            </tr>
+                        `).join('')}
+                    </table>
+                </div>
+            ` : ''}
+            
             ${stats.recommendations?.length > 0 ? `
                 <div class="recommendations">
                     <h4>💡 Recomendaciones</h4>
@@ -863,6 +2113,7 @@ class DrivingMonitorApp {
 • Duración: ${Utils.formatDuration(duration)}
 • Registros: ${this.data.length}
 • Eventos detectados: ${totalEvents}
+• Sesión: ${this.sessionId}
 • Participante: ${this.participantInput.value}
 • Grupo: ${this.groupSelect.value}
         `;
@@ -897,6 +2148,11 @@ class DrivingMonitorApp {
         if (document.hidden && this.isRecording) {
             Utils.log('info', 'App en segundo plano - grabación continúa');
             this.notifyServiceWorker('KEEP_ALIVE');
+            
+            // El sistema puede terminar la pestaña en segundo plano sin avisar
+            this.saveDataLocally();
+            this.rawMotionRecorder.flush();
+            this.writeJournal();
         } else if (!document.hidden) {
             Utils.log('info', 'App en primer plano');
         }
@@ -955,10 +2211,12 @@ class DrivingMonitorApp {
         // Detener sensores
         this.stopSensors();
         
-        // Guardar datos finales
+        // Guardar datos finales (el diario se conserva si había grabación en curso)
         if (this.data.length > 0) {
             this.saveDataLocally();
         }
+        this.rawMotionRecorder.flush();
+        this.writeJournal();
         
         Utils.log('info', 'Aplicación destruida correctamente');
     }
@@ -0,0 +1,177 @@
+// Viaje Automático - Monitor de Conducción ITSON v2.0
+// Inicia la sesión al detectar marcha sostenida y la termina (o pausa) tras una detención prolongada
+
+class AutoTripDetector {
+    constructor(options = {}) {
+        const { onStart = null, onStop = null, ...config } = options;
+
+        this.config = {
+            startSpeed: 15,             // km/h de GPS para considerar que el vehículo arrancó
+            startDuration: 10000,       // ms de evidencia continua antes de iniciar
+            stopAfter: 180000,          // ms detenido para terminar o pausar
+            action: 'stop',             // 'stop' = terminar la sesión, 'pause' = pausarla
+            ...config
+        };
+
+        this.onStart = onStart;
+        this.onStop = onStop;
+
+        // Procesador propio mientras vigila: no toca contadores ni eventos de la sesión
+        this.watcher = new DataProcessor();
+
+        this.state = 'off';             // 'off' | 'armed' (vigilando) | 'tracking' (grabando)
+        this.reset();
+    }
+
+    static get ACTIONS() {
+        return ['stop', 'pause'];
+    }
+
+    reset() {
+        this.lastReading = {};
+        this.motionSince = null;        // { time, timestamp } del inicio de la evidencia
+        this.motionBuffer = [];         // lecturas desde motionSince: el arranque se graba en la sesión
+        this.seenStill = false;         // solo arranca desde detenido
+        this.handledStop = null;        // ms: detención que ya disparó el fin
+    }
+
+    configure(options = {}) {
+        this.config = { ...this.config, ...options };
+        Utils.log('info', 'Viaje automático configurado', this.config);
+    }
+
+    isEnabled() {
+        return this.state !== 'off';
+    }
+
+    isWatching() {
+        return this.state === 'armed';
+    }
+
+    // === ESTADOS ===
+
+    arm() {
+        this.state = 'armed';
+        this.reset();
+        this.watcher.resetCounters();
+        Utils.log('info', 'Viaje automático: esperando movimiento');
+    }
+
+    // La sesión está grabando (inicio manual o automático, o reanudación)
+    track() {
+        if (!this.isEnabled()) return;
+
+        this.state = 'tracking';
+        this.handledStop = null;
+    }
+
+    disable() {
+        this.state = 'off';
+        this.reset();
+    }
+
+    // === INICIO ===
+
+    // Lecturas sin sesión (GPS o movimiento): como mergeWithLastRecord, se completan con la última del otro sensor
+    watch(sample) {
+        if (this.state !== 'armed') return null;
+
+        const record = { ...this.lastReading, ...sample };
+        this.lastReading = {
+            lat: record.lat,
+            lon: record.lon,
+            velocidad: record.velocidad,
+            x: record.x,
+            y: record.y,
+            z: record.z
+        };
+
+        // Con evidencia en curso se guarda toda lectura (también las que el procesador descarta)
+        if (this.motionSince) {
+            this.motionBuffer.push(sample);
+        }
+
+        const result = this.watcher.processDataPoint(record);
+        if (!result) return null;
+
+        const reason = this.getStartEvidence(result.processed);
+        if (!reason) {
+            this.seenStill = true;
+            this.motionSince = null;
+            this.motionBuffer = [];
+            return null;
+        }
+        if (!this.seenStill) return null;
+
+        const time = Date.parse(record.timestamp);
+        if (!this.motionSince) {
+            this.motionSince = { time, timestamp: record.timestamp };
+            this.motionBuffer = [sample];
+        }
+        if (time - this.motionSince.time < this.config.startDuration) return null;
+
+        const trigger = {
+            motivo: reason,
+            movimiento_desde: this.motionSince.timestamp,
+            timestamp: record.timestamp,
+            velocidad: Number.isFinite(result.processed.velocidad) ? Number(result.processed.velocidad.toFixed(1)) : null,
+            registros: this.motionBuffer
+        };
+        this.motionBuffer = [];
+
+        this.state = 'tracking';
+        this.handledStop = null;
+        Utils.log('info', `Viaje automático: inicio por ${reason}`, { ...trigger, registros: trigger.registros.length });
+        if (this.onStart) this.onStart(trigger);
+        return trigger;
+    }
+
+    // Con GPS: velocidad sobre startSpeed (el GPS quieto también marca unos km/h);
+    // sin GPS: movimiento sostenido del acelerómetro
+    getStartEvidence(record) {
+        if (record.gps_available) {
+            return record.velocidad >= this.config.startSpeed ? 'velocidad_gps' : null;
+        }
+        return this.watcher.hasSustainedMotion() ? 'movimiento_sostenido' : null;
+    }
+
+    // === FIN ===
+
+    // Registros procesados de la sesión (movement_state, stop_started de DataProcessor)
+    observe(record) {
+        if (this.state !== 'tracking') return null;
+        if (record.movement_state !== 'stopped' || !record.stop_started) return null;
+
+        const stopStart = Date.parse(record.stop_started);
+        const stopped = Date.parse(record.timestamp) - stopStart;
+        if (stopStart === this.handledStop || stopped < this.config.stopAfter) return null;
+
+        this.handledStop = stopStart;
+        const trigger = {
+            motivo: 'detenido_prolongado',
+            accion: this.config.action,
+            detenido_desde: record.stop_started,
+            timestamp: record.timestamp,
+            detenido_seg: Math.round(stopped / 1000)
+        };
+
+        Utils.log('info', `Viaje automático: ${this.config.action === 'pause' ? 'pausa' : 'fin'} tras ${trigger.detenido_seg}s detenido`, trigger);
+        this.arm();
+        if (this.onStop) this.onStop(trigger);
+        return trigger;
+    }
+
+    describe() {
+        switch (this.state) {
+            case 'armed':
+                return '🤖 Esperando movimiento del vehículo';
+            case 'tracking':
+                return `🤖 Se ${this.config.action === 'pause' ? 'pausará' : 'detendrá'} tras ${Math.round(this.config.stopAfter / 60000)} min detenido`;
+            default:
+                return '';
+        }
+    }
+}
+
+// Exportar para uso global
+window.AutoTripDetector = AutoTripDetector;
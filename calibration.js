@@ -2,15 +2,51 @@
 // Sistema de diagnóstico y validación de sensores
 
 class CalibrationManager {
-    constructor() {
+    constructor(sensorProvider = new BrowserSensorProvider()) {
+        this.sensorProvider = sensorProvider;
         this.isTestMode = false;
         this.diagnosticInterval = null;
         this.gpsWatchId = null;
         this.sensorData = {
-            gps: { ready: false, data: null, lastUpdate: null },
+            gps: { ready: false, hasFix: false, data: null, lastUpdate: null, rating: null, consecutiveFixes: 0 },
             accelerometer: { ready: false, data: null, lastUpdate: null }
         };
         
+        // Calidad GPS mínima antes de grabar (calificaciones de Utils.validateGPSAccuracy)
+        this.gpsQualityConfig = {
+            minRating: 'fair',          // excellent ≤3 m, good ≤5 m, fair ≤10 m
+            requiredFixes: 5            // fijaciones consecutivas dentro del límite
+        };
+        this.gpsOverride = false;       // GPS deficiente aceptado explícitamente en switchToRecordMode
+        
+        // Alineación teléfono → vehículo (se guarda por dispositivo)
+        this.alignmentConfig = {
+            gravityDuration: 3000,      // ms detenido para estimar gravedad
+            gravityMaxStd: 0.3,         // m/s² de ruido máximo por eje
+            forwardThreshold: 1.0,      // m/s² horizontales para contar como aceleración
+            forwardDuration: 1500,      // ms acumulados acelerando
+            minStraightness: 0.8,       // 1 = todas las muestras en la misma dirección
+            timeout: 45000              // ms para completar la calibración
+        };
+        this.alignmentStorageKey = `frame_alignment_${CalibrationManager.getDeviceKey()}`;
+        this.frameAlignment = Storage.get(this.alignmentStorageKey);
+        this.alignmentState = null;
+        
+        // Perfil de ruido en reposo (umbrales sugeridos por dispositivo)
+        this.noiseConfig = {
+            duration: 10000,            // ms de captura con el teléfono inmóvil
+            minSamples: 50,             // muestras mínimas para estimar el ruido
+            maxAxisStd: 0.3,            // m/s² por eje: más variación = hubo movimiento
+            noiseFactor: 3,             // acceleration_noise = factor × σ del eje más ruidoso
+            motionFactor: 1.5,          // motion_threshold = factor × percentil 99 de la variación
+            noiseRange: [0.1, 1.0],     // m/s² límites de acceleration_noise
+            motionRange: [0.3, 3.0]     // m/s² límites de motion_threshold
+        };
+        this.noiseStorageKey = `noise_profile_${CalibrationManager.getDeviceKey()}`;
+        this.noiseProfile = Storage.get(this.noiseStorageKey);
+        this.noiseCapture = null;
+        this.noiseResult = null;
+        
         // Elementos DOM
         this.diagnosticPanel = document.getElementById('diagnosticPanel');
         this.testModeBtn = document.getElementById('testModeBtn');
@@ -23,6 +59,7 @@ class CalibrationManager {
         this.gpsAccuracy = document.getElementById('gpsAccuracy');
         this.gpsSpeed = document.getElementById('gpsSpeed');
         this.gpsReady = document.getElementById('gpsReady');
+        this.gpsQuality = document.getElementById('gpsQuality');
         
         // Elementos de diagnóstico Acelerómetro
         this.accelStatus = document.getElementById('accelStatus');
@@ -32,6 +69,16 @@ class CalibrationManager {
         this.accelMag = document.getElementById('accelMag');
         this.accelReady = document.getElementById('accelReady');
         
+        // Elementos de alineación del montaje
+        this.alignBtn = document.getElementById('alignBtn');
+        this.alignmentStatus = document.getElementById('alignmentStatus');
+        
+        // Elementos del perfil de ruido
+        this.noiseBtn = document.getElementById('noiseBtn');
+        this.applyNoiseBtn = document.getElementById('applyNoiseBtn');
+        this.noiseStatus = document.getElementById('noiseStatus');
+        this.noiseDetails = document.getElementById('noiseDetails');
+        
         // Elementos de estado del sistema
         this.batteryLevel = document.getElementById('batteryLevel');
         this.storageSpace = document.getElementById('storageSpace');
@@ -47,6 +94,11 @@ class CalibrationManager {
         // Event listeners
         this.testModeBtn?.addEventListener('click', () => this.toggleTestMode());
         this.recordModeBtn?.addEventListener('click', () => this.switchToRecordMode());
+        this.alignBtn?.addEventListener('click', () => this.toggleFrameCalibration());
+        this.noiseBtn?.addEventListener('click', () => this.startNoiseCapture());
+        this.applyNoiseBtn?.addEventListener('click', () => this.applyNoiseProfile());
+        this.updateAlignmentStatus();
+        this.updateNoiseStatus();
         
         // Actualizar información del sistema cada 5 segundos
         setInterval(() => this.updateSystemInfo(), 5000);
@@ -88,6 +140,7 @@ class CalibrationManager {
         if (!capabilities.geolocation) missing.push('GPS');
         if (!capabilities.deviceMotion) missing.push('Acelerómetro');
         if (!capabilities.localStorage) missing.push('Almacenamiento local');
+        if (!capabilities.indexedDB) missing.push('IndexedDB');
         
         if (missing.length > 0) {
             this.alertManager.error(`Funciones no disponibles: ${missing.join(', ')}`);
@@ -114,6 +167,19 @@ class CalibrationManager {
         }
     }
 
+    setSensorProvider(provider) {
+        const wasTesting = this.isTestMode;
+        if (wasTesting) {
+            this.stopSensorDiagnostics();
+        }
+        
+        this.sensorProvider = provider;
+        
+        if (wasTesting) {
+            this.startSensorDiagnostics();
+        }
+    }
+
     toggleTestMode() {
         if (this.isTestMode) {
             this.stopTestMode();
@@ -157,17 +223,28 @@ class CalibrationManager {
         }
         
         // Verificar que los sensores estén listos
-        if (!this.sensorData.gps.ready || !this.sensorData.accelerometer.ready) {
+        if (!this.sensorData.gps.hasFix || !this.sensorData.accelerometer.ready) {
             this.alertManager.warning('⚠️ Algunos sensores no están listos. Ejecuta el modo prueba primero.');
             return;
         }
         
+        // GPS con señal pero sin la calidad requerida: continuar solo si se confirma
+        if (!this.sensorData.gps.ready) {
+            const quality = this.getGPSQuality();
+            const message = `⚠️ La precisión GPS aún no es estable (${quality.calificacion}, ` +
+                `${quality.fijaciones_consecutivas}/${quality.fijaciones_requeridas} fijaciones aceptables).\n\n` +
+                '¿Continuar de todos modos? Las sesiones quedarán marcadas con GPS deficiente.';
+            if (!confirm(message)) return;
+        }
+        this.gpsOverride = !this.sensorData.gps.ready;
+        
         this.alertManager.success('✅ Sensores verificados. Listo para experimento.');
         
         // Emitir evento para que la aplicación principal sepa que está listo
         window.dispatchEvent(new CustomEvent('sensorsReady', {
             detail: {
-                gps: this.sensorData.gps.ready,
+                gps: this.sensorData.gps.hasFix,
+                gpsQuality: this.sensorData.gps.ready,
                 accelerometer: this.sensorData.accelerometer.ready
             }
         }));
@@ -180,6 +257,9 @@ class CalibrationManager {
         // Iniciar acelerómetro
         this.startAccelerometerDiagnostic();
         
+        // Medir el ruido del acelerómetro en reposo
+        this.startNoiseCapture();
+        
         // Actualizar display cada segundo
         this.diagnosticInterval = setInterval(() => {
             this.updateDiagnosticDisplay();
@@ -189,12 +269,20 @@ class CalibrationManager {
     stopSensorDiagnostics() {
         // Detener GPS
         if (this.gpsWatchId) {
-            navigator.geolocation.clearWatch(this.gpsWatchId);
+            this.sensorProvider.clearWatch(this.gpsWatchId);
             this.gpsWatchId = null;
         }
         
         // Detener acelerómetro
-        window.removeEventListener('devicemotion', this.onDeviceMotion);
+        if (this.onDeviceMotion) {
+            this.sensorProvider.removeMotionListener(this.onDeviceMotion);
+            this.onDeviceMotion = null;
+        }
+        
+        // Cancelar la medición de ruido en curso
+        if (this.noiseCapture) {
+            this.finishNoiseCapture(null, 'Medición de ruido cancelada');
+        }
         
         // Detener actualización de display
         if (this.diagnosticInterval) {
@@ -204,13 +292,17 @@ class CalibrationManager {
     }
 
     startGPSDiagnostic() {
+        // La racha de fijaciones aceptables empieza de nuevo (y la aceptación manual también)
+        this.sensorData.gps.consecutiveFixes = 0;
+        this.gpsOverride = false;
+        
         const options = {
             enableHighAccuracy: true,
             timeout: 15000,
             maximumAge: 1000
         };
 
-        this.gpsWatchId = navigator.geolocation.watchPosition(
+        this.gpsWatchId = this.sensorProvider.watchPosition(
             (position) => this.onGPSSuccess(position),
             (error) => this.onGPSError(error),
             options
@@ -221,8 +313,17 @@ class CalibrationManager {
         const coords = position.coords;
         const now = Date.now();
         
+        // Listo solo tras N fijaciones seguidas con precisión aceptable
+        const rating = Utils.validateGPSAccuracy(coords.accuracy);
+        const consecutiveFixes = this.isAcceptableGPSRating(rating)
+            ? this.sensorData.gps.consecutiveFixes + 1
+            : 0;
+        
         this.sensorData.gps = {
-            ready: true,
+            ready: consecutiveFixes >= this.gpsQualityConfig.requiredFixes,
+            hasFix: true,
+            rating: rating,
+            consecutiveFixes: consecutiveFixes,
             data: {
                 latitude: coords.latitude,
                 longitude: coords.longitude,
@@ -235,7 +336,7 @@ class CalibrationManager {
         };
 
         // Actualizar estado de conexión si es la primera vez
-        if (this.sensorData.accelerometer.ready) {
+        if (this.sensorData.gps.ready && this.sensorData.accelerometer.ready) {
             this.updateConnectionStatus('connected', 'Todos los sensores funcionando');
         }
     }
@@ -243,6 +344,7 @@ class CalibrationManager {
     onGPSError(error) {
         Utils.log('error', 'Error GPS', error);
         this.sensorData.gps.ready = false;
+        this.sensorData.gps.consecutiveFixes = 0;
         
         let message = 'Error GPS: ';
         switch (error.code) {
@@ -264,7 +366,7 @@ class CalibrationManager {
     }
 
     startAccelerometerDiagnostic() {
-        if (!window.DeviceMotionEvent) {
+        if (!this.sensorProvider.isMotionAvailable()) {
             this.alertManager.error('Acelerómetro no disponible en este dispositivo');
             return;
         }
@@ -287,40 +389,35 @@ class CalibrationManager {
             };
         };
 
-        // Verificar si necesita permisos (iOS 13+)
-        if (typeof DeviceOrientationEvent.requestPermission === 'function') {
-            DeviceOrientationEvent.requestPermission()
-                .then(permissionState => {
-                    if (permissionState === 'granted') {
-                        window.addEventListener('devicemotion', this.onDeviceMotion, true);
-                        this.alertManager.success('Permisos de sensores concedidos');
-                    } else {
-                        this.alertManager.error('Permisos de sensores denegados');
-                    }
-                })
-                .catch(error => {
-                    Utils.log('error', 'Error solicitando permisos', error);
-                });
-        } else {
-            // Dispositivos que no necesitan permisos explícitos
-            window.addEventListener('devicemotion', this.onDeviceMotion, true);
-        }
+        // Solicitar permisos si la fuente lo requiere (iOS 13+)
+        this.sensorProvider.requestPermission()
+            .then(granted => {
+                if (granted) {
+                    this.sensorProvider.addMotionListener(this.onDeviceMotion);
+                } else {
+                    this.alertManager.error('Permisos de sensores denegados');
+                }
+            })
+            .catch(error => {
+                Utils.log('error', 'Error solicitando permisos', error);
+            });
     }
 
     updateDiagnosticDisplay() {
         // Actualizar GPS
-        if (this.sensorData.gps.ready && this.sensorData.gps.data) {
+        if (this.sensorData.gps.hasFix && this.sensorData.gps.data) {
             const gps = this.sensorData.gps.data;
             this.gpsStatus.textContent = '✅';
             this.gpsLat.textContent = Utils.formatNumber(gps.latitude, 6);
             this.gpsLon.textContent = Utils.formatNumber(gps.longitude, 6);
             this.gpsAccuracy.textContent = Utils.formatNumber(gps.accuracy, 1);
             this.gpsSpeed.textContent = Utils.formatNumber(gps.speed * 3.6, 1); // m/s a km/h
-            this.gpsReady.textContent = '✅';
+            this.gpsReady.textContent = this.sensorData.gps.ready ? '✅' : '⏳';
         } else {
             this.gpsStatus.textContent = '❌';
             this.gpsReady.textContent = '❌';
         }
+        this.updateGPSQualityDisplay();
 
         // Actualizar Acelerómetro
         if (this.sensorData.accelerometer.ready && this.sensorData.accelerometer.data) {
@@ -409,11 +506,510 @@ class CalibrationManager {
         }
     }
 
+    // === ALINEACIÓN TELÉFONO → VEHÍCULO ===
+
+    // Identificador estable del dispositivo (la calibración depende del montaje del teléfono)
+    static getDeviceKey() {
+        const screenInfo = typeof screen !== 'undefined' ? `${screen.width}x${screen.height}` : '';
+        return Utils.simpleHash(`${navigator.userAgent}|${navigator.platform}|${screenInfo}`);
+    }
+
+    toggleFrameCalibration() {
+        if (this.alignmentState) {
+            this.finishFrameCalibration(false, 'Calibración cancelada');
+        } else {
+            this.startFrameCalibration();
+        }
+    }
+
+    // Paso 1: vehículo detenido (gravedad). Paso 2: acelerar en línea recta (adelante).
+    async startFrameCalibration() {
+        if (this.alignmentState) return;
+        
+        const granted = await this.sensorProvider.requestPermission().catch(() => false);
+        if (!granted) {
+            this.alertManager.error('Permisos de sensores denegados');
+            return;
+        }
+        
+        this.alignmentState = {
+            phase: 'gravity',
+            startedAt: Date.now(),
+            samples: [],
+            gravity: null,
+            forwardSum: { x: 0, y: 0, z: 0 },
+            forwardMagnitude: 0,
+            forwardTime: 0,
+            lastSampleTime: null
+        };
+        
+        this.onAlignmentMotion = (event) => this.handleAlignmentSample(event);
+        this.sensorProvider.addMotionListener(this.onAlignmentMotion);
+        
+        if (this.alignBtn) this.alignBtn.textContent = '⏹️ Cancelar';
+        this.updateAlignmentStatus('🛑 Mantén el vehículo detenido...');
+        this.alertManager.info('📐 Calibración de montaje: vehículo detenido, teléfono en su soporte');
+        Utils.log('info', 'Calibración de alineación iniciada');
+    }
+
+    handleAlignmentSample(event) {
+        const state = this.alignmentState;
+        const acceleration = event.accelerationIncludingGravity;
+        if (!state || !acceleration) return;
+        
+        const now = Date.now();
+        if (now - state.startedAt > this.alignmentConfig.timeout) {
+            this.finishFrameCalibration(false, 'Tiempo agotado: no se detectó una aceleración en línea recta');
+            return;
+        }
+        
+        const sample = { x: acceleration.x || 0, y: acceleration.y || 0, z: acceleration.z || 0, time: now };
+        
+        if (state.phase === 'gravity') {
+            this.collectGravitySample(state, sample);
+        } else {
+            this.collectForwardSample(state, sample);
+        }
+    }
+
+    collectGravitySample(state, sample) {
+        state.samples.push(sample);
+        if (sample.time - state.samples[0].time < this.alignmentConfig.gravityDuration) return;
+        
+        const stats = ['x', 'y', 'z'].map(axis => {
+            const values = state.samples.map(s => s[axis]);
+            const mean = values.reduce((a, b) => a + b, 0) / values.length;
+            const std = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+            return { mean, std };
+        });
+        
+        // Si hubo movimiento, volver a empezar la ventana
+        if (stats.some(axis => axis.std > this.alignmentConfig.gravityMaxStd)) {
+            state.samples = [];
+            this.updateAlignmentStatus('🛑 Movimiento detectado: mantén el vehículo detenido...');
+            return;
+        }
+        
+        state.gravity = { x: stats[0].mean, y: stats[1].mean, z: stats[2].mean };
+        state.phase = 'forward';
+        state.samples = [];
+        
+        this.updateAlignmentStatus('🚗 Acelera suavemente en línea recta...');
+        this.alertManager.info('🚗 Gravedad registrada. Ahora acelera en línea recta');
+    }
+
+    collectForwardSample(state, sample) {
+        const up = CalibrationManager.normalize(state.gravity);
+        const dynamic = CalibrationManager.subtract(sample, state.gravity);
+        
+        // Solo la componente horizontal (la pendiente o los baches no cuentan)
+        const horizontal = CalibrationManager.subtract(dynamic, CalibrationManager.scale(up, CalibrationManager.dot(dynamic, up)));
+        const magnitude = CalibrationManager.length(horizontal);
+        
+        const elapsed = state.lastSampleTime ? sample.time - state.lastSampleTime : 0;
+        state.lastSampleTime = sample.time;
+        
+        if (magnitude < this.alignmentConfig.forwardThreshold) return;
+        
+        state.forwardSum = CalibrationManager.add(state.forwardSum, horizontal);
+        state.forwardMagnitude += magnitude;
+        state.forwardTime += Math.min(elapsed, 200);
+        
+        if (state.forwardTime < this.alignmentConfig.forwardDuration) return;
+        
+        // Rectitud: qué tanto coinciden las direcciones de las muestras
+        const straightness = CalibrationManager.length(state.forwardSum) / state.forwardMagnitude;
+        if (straightness < this.alignmentConfig.minStraightness) {
+            state.forwardSum = { x: 0, y: 0, z: 0 };
+            state.forwardMagnitude = 0;
+            state.forwardTime = 0;
+            this.updateAlignmentStatus('↪️ Trayectoria con giro: repite la aceleración en línea recta...');
+            return;
+        }
+        
+        const matrix = CalibrationManager.computeAlignment(state.gravity, state.forwardSum);
+        this.saveFrameAlignment({
+            matrix: matrix,
+            gravity: state.gravity,
+            straightness: Number(straightness.toFixed(3)),
+            created_at: new Date().toISOString(),
+            device_key: CalibrationManager.getDeviceKey()
+        });
+        this.finishFrameCalibration(true, 'Montaje calibrado');
+    }
+
+    finishFrameCalibration(success, message) {
+        if (this.onAlignmentMotion) {
+            this.sensorProvider.removeMotionListener(this.onAlignmentMotion);
+            this.onAlignmentMotion = null;
+        }
+        this.alignmentState = null;
+        
+        if (this.alignBtn) this.alignBtn.textContent = '📐 Calibrar montaje';
+        this.updateAlignmentStatus();
+        
+        if (success) {
+            this.alertManager.success(`✅ ${message}`);
+        } else {
+            this.alertManager.warning(`⚠️ ${message}`);
+        }
+        Utils.log(success ? 'info' : 'warn', `Calibración de alineación: ${message}`);
+    }
+
+    saveFrameAlignment(alignment) {
+        this.frameAlignment = alignment;
+        Storage.set(this.alignmentStorageKey, alignment);
+        
+        // La app aplica la matriz al DataProcessor
+        window.dispatchEvent(new CustomEvent('frameAlignment', { detail: alignment }));
+    }
+
+    clearFrameAlignment() {
+        this.frameAlignment = null;
+        Storage.remove(this.alignmentStorageKey);
+        window.dispatchEvent(new CustomEvent('frameAlignment', { detail: null }));
+        this.updateAlignmentStatus();
+    }
+
+    getFrameAlignment() {
+        return this.frameAlignment;
+    }
+
+    updateAlignmentStatus(message = null) {
+        if (!this.alignmentStatus) return;
+        
+        if (message) {
+            this.alignmentStatus.textContent = message;
+        } else if (this.frameAlignment) {
+            const date = Utils.formatDateTime(new Date(this.frameAlignment.created_at));
+            this.alignmentStatus.textContent = `✅ Calibrado ${date.date} ${date.time.slice(0, 5)}`;
+        } else {
+            this.alignmentStatus.textContent = '❌ Sin calibrar (se asume Y hacia adelante)';
+        }
+    }
+
+    // Filas [derecha, adelante, arriba]: v_vehículo = R · v_teléfono
+    static computeAlignment(gravity, forwardAcceleration) {
+        const up = CalibrationManager.normalize(gravity);
+        
+        // Quitar cualquier resto vertical y normalizar
+        const forwardHorizontal = CalibrationManager.subtract(
+            forwardAcceleration,
+            CalibrationManager.scale(up, CalibrationManager.dot(forwardAcceleration, up))
+        );
+        const forward = CalibrationManager.normalize(forwardHorizontal);
+        const right = CalibrationManager.cross(forward, up);
+        
+        return [
+            [right.x, right.y, right.z],
+            [forward.x, forward.y, forward.z],
+            [up.x, up.y, up.z]
+        ];
+    }
+
+    static dot(a, b) {
+        return a.x * b.x + a.y * b.y + a.z * b.z;
+    }
+
+    static cross(a, b) {
+        return {
+            x: a.y * b.z - a.z * b.y,
+            y: a.z * b.x - a.x * b.z,
+            z: a.x * b.y - a.y * b.x
+        };
+    }
+
+    static add(a, b) {
+        return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+    }
+
+    static subtract(a, b) {
+        return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+    }
+
+    static scale(v, factor) {
+        return { x: v.x * factor, y: v.y * factor, z: v.z * factor };
+    }
+
+    static length(v) {
+        return Math.sqrt(CalibrationManager.dot(v, v));
+    }
+
+    static normalize(v) {
+        const length = CalibrationManager.length(v);
+        return length > 0 ? CalibrationManager.scale(v, 1 / length) : { x: 0, y: 0, z: 0 };
+    }
+
+    // === PERFIL DE RUIDO EN REPOSO ===
+
+    // Captura cronometrada con el teléfono inmóvil: varianza, sesgo y frecuencia real
+    async startNoiseCapture() {
+        if (this.noiseCapture) return;
+        
+        const granted = await this.sensorProvider.requestPermission().catch(() => false);
+        if (!granted || !this.sensorProvider.isMotionAvailable()) {
+            this.updateNoiseStatus('❌ Acelerómetro no disponible');
+            return;
+        }
+        
+        this.noiseCapture = {
+            startedAt: Date.now(),
+            samples: [],
+            intervals: []
+        };
+        
+        this.onNoiseMotion = (event) => this.collectNoiseSample(event);
+        this.sensorProvider.addMotionListener(this.onNoiseMotion);
+        this.noiseTimer = setTimeout(() => this.completeNoiseCapture(), this.noiseConfig.duration);
+        
+        this.noiseResult = null;
+        if (this.noiseBtn) this.noiseBtn.disabled = true;
+        if (this.applyNoiseBtn) this.applyNoiseBtn.disabled = true;
+        this.updateNoiseStatus(`⏳ Midiendo ruido (${this.noiseConfig.duration / 1000} s): no muevas el teléfono...`);
+        Utils.log('info', 'Medición de ruido en reposo iniciada');
+    }
+
+    collectNoiseSample(event) {
+        const acceleration = event.accelerationIncludingGravity;
+        if (!this.noiseCapture || !acceleration) return;
+        
+        this.noiseCapture.samples.push({
+            x: acceleration.x || 0,
+            y: acceleration.y || 0,
+            z: acceleration.z || 0,
+            time: RawMotionRecorder.sampleTime(event)
+        });
+        if (event.interval) {
+            this.noiseCapture.intervals.push(event.interval);
+        }
+    }
+
+    completeNoiseCapture() {
+        const capture = this.noiseCapture;
+        if (!capture) return;
+        
+        const analysis = CalibrationManager.analyzeNoise(capture.samples, capture.intervals, this.noiseConfig);
+        
+        if (!analysis) {
+            this.finishNoiseCapture(null, 'Muy pocas muestras del acelerómetro');
+        } else if (!analysis.reposo) {
+            this.finishNoiseCapture(null, 'Se detectó movimiento: deja el teléfono inmóvil y repite');
+        } else {
+            this.finishNoiseCapture(analysis, 'Ruido medido');
+        }
+    }
+
+    finishNoiseCapture(analysis, message) {
+        if (this.onNoiseMotion) {
+            this.sensorProvider.removeMotionListener(this.onNoiseMotion);
+            this.onNoiseMotion = null;
+        }
+        if (this.noiseTimer) {
+            clearTimeout(this.noiseTimer);
+            this.noiseTimer = null;
+        }
+        this.noiseCapture = null;
+        this.noiseResult = analysis;
+        
+        if (this.noiseBtn) this.noiseBtn.disabled = false;
+        if (this.applyNoiseBtn) this.applyNoiseBtn.disabled = !analysis;
+        
+        if (analysis) {
+            const suggested = analysis.umbrales_sugeridos;
+            this.updateNoiseStatus(`📊 Sugerido: ruido ${suggested.acceleration_noise} · movimiento ${suggested.motion_threshold} m/s²`);
+            this.alertManager.success(`✅ ${message}: ${analysis.frecuencia_hz} Hz, σ ${analysis.desviacion_magnitud} m/s²`);
+        } else {
+            this.updateNoiseStatus(`⚠️ ${message}`);
+            this.alertManager.warning(`⚠️ ${message}`);
+        }
+        Utils.log(analysis ? 'info' : 'warn', `Medición de ruido: ${message}`, analysis);
+    }
+
+    // Guardar el perfil para este dispositivo y aplicarlo al DataProcessor
+    applyNoiseProfile() {
+        if (!this.noiseResult) return;
+        
+        const profile = {
+            ...this.noiseResult,
+            created_at: new Date().toISOString(),
+            device_key: CalibrationManager.getDeviceKey()
+        };
+        
+        this.noiseProfile = profile;
+        Storage.set(this.noiseStorageKey, profile);
+        
+        // La app aplica los umbrales al DataProcessor
+        window.dispatchEvent(new CustomEvent('noiseProfile', { detail: profile }));
+        
+        if (this.applyNoiseBtn) this.applyNoiseBtn.disabled = true;
+        this.updateNoiseStatus();
+        this.alertManager.success('✅ Umbrales del dispositivo aplicados');
+    }
+
+    clearNoiseProfile() {
+        this.noiseProfile = null;
+        Storage.remove(this.noiseStorageKey);
+        window.dispatchEvent(new CustomEvent('noiseProfile', { detail: null }));
+        this.updateNoiseStatus();
+    }
+
+    getNoiseProfile() {
+        return this.noiseProfile;
+    }
+
+    updateNoiseStatus(message = null) {
+        if (this.noiseStatus) {
+            if (message) {
+                this.noiseStatus.textContent = message;
+            } else if (this.noiseProfile) {
+                const suggested = this.noiseProfile.umbrales_sugeridos;
+                this.noiseStatus.textContent = `✅ Ruido ${suggested.acceleration_noise} · movimiento ${suggested.motion_threshold} m/s²`;
+            } else {
+                this.noiseStatus.textContent = '❌ Sin medir (umbrales por defecto)';
+            }
+        }
+        
+        // Detalle de la última medición (o del perfil guardado)
+        const analysis = this.noiseResult || this.noiseProfile;
+        if (this.noiseDetails) {
+            this.noiseDetails.textContent = analysis
+                ? `${analysis.muestras} muestras · ${analysis.frecuencia_hz} Hz · σ x/y/z ${analysis.desviacion.x}/${analysis.desviacion.y}/${analysis.desviacion.z} · sesgo ${analysis.sesgo_gravedad} m/s²`
+                : '';
+        }
+    }
+
+    // Estadísticas del acelerómetro en reposo y umbrales sugeridos
+    static analyzeNoise(samples, reportedIntervals = [], config = {}) {
+        const {
+            minSamples = 50,
+            maxAxisStd = 0.3,
+            noiseFactor = 3,
+            motionFactor = 1.5,
+            noiseRange = [0.1, 1.0],
+            motionRange = [0.3, 3.0]
+        } = config;
+        
+        if (samples.length < minSamples) return null;
+        
+        const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+        const variance = (values, m) => values.reduce((sum, v) => sum + (v - m) ** 2, 0) / values.length;
+        const round = (value, digits = 4) => Number(value.toFixed(digits));
+        const clamp = (value, [min, max]) => Math.min(max, Math.max(min, value));
+        
+        const average = {};
+        const axisVariance = {};
+        ['x', 'y', 'z'].forEach(axis => {
+            const values = samples.map(s => s[axis]);
+            average[axis] = mean(values);
+            axisVariance[axis] = variance(values, average[axis]);
+        });
+        
+        const magnitudes = samples.map(s => CalibrationManager.length(s));
+        const meanMagnitude = mean(magnitudes);
+        const magnitudeStd = Math.sqrt(variance(magnitudes, meanMagnitude));
+        
+        // Misma métrica que DataProcessor.calculateAccelerationVariation (distancia al baseline)
+        const variations = samples
+            .map(s => CalibrationManager.length(CalibrationManager.subtract(s, average)))
+            .sort((a, b) => a - b);
+        const p99 = variations[Math.min(variations.length - 1, Math.floor(variations.length * 0.99))];
+        
+        // Frecuencia real a partir de los tiempos de las muestras
+        const intervals = [];
+        for (let i = 1; i < samples.length; i++) {
+            intervals.push(samples[i].time - samples[i - 1].time);
+        }
+        const sortedIntervals = [...intervals].sort((a, b) => a - b);
+        const meanInterval = mean(intervals);
+        const span = samples[samples.length - 1].time - samples[0].time;
+        
+        const maxStd = Math.sqrt(Math.max(axisVariance.x, axisVariance.y, axisVariance.z));
+        
+        return {
+            muestras: samples.length,
+            duracion_seg: round(span / 1000, 1),
+            frecuencia_hz: span > 0 ? round((samples.length - 1) / (span / 1000), 1) : null,
+            intervalo_mediano_ms: round(sortedIntervals[Math.floor(sortedIntervals.length / 2)], 2),
+            intervalo_reportado_ms: reportedIntervals.length > 0 ? round(mean(reportedIntervals), 2) : null,
+            fluctuacion_intervalo_ms: round(Math.sqrt(variance(intervals, meanInterval)), 2),
+            media: { x: round(average.x), y: round(average.y), z: round(average.z) },
+            varianza: { x: round(axisVariance.x, 6), y: round(axisVariance.y, 6), z: round(axisVariance.z, 6) },
+            desviacion: {
+                x: round(Math.sqrt(axisVariance.x), 3),
+                y: round(Math.sqrt(axisVariance.y), 3),
+                z: round(Math.sqrt(axisVariance.z), 3)
+            },
+            magnitud_media: round(meanMagnitude),
+            desviacion_magnitud: round(magnitudeStd, 3),
+            sesgo_gravedad: round(meanMagnitude - 9.80665),
+            variacion_p99: round(p99),
+            reposo: maxStd <= maxAxisStd,
+            umbrales_sugeridos: {
+                acceleration_noise: round(clamp(noiseFactor * maxStd, noiseRange), 2),
+                motion_threshold: round(clamp(motionFactor * p99, motionRange), 2)
+            }
+        };
+    }
+
+    // === CALIDAD GPS ===
+
+    isAcceptableGPSRating(rating) {
+        const ratings = CalibrationManager.GPS_RATINGS;
+        return ratings.indexOf(rating) <= ratings.indexOf(this.gpsQualityConfig.minRating);
+    }
+
+    // De mejor a peor
+    static get GPS_RATINGS() {
+        return ['excellent', 'good', 'fair', 'poor'];
+    }
+
+    getGPSQuality() {
+        const gps = this.sensorData.gps;
+        return {
+            calificacion: gps.rating,
+            precision_m: gps.data ? Number(Utils.formatNumber(gps.data.accuracy, 1)) : null,
+            fijaciones_consecutivas: gps.consecutiveFixes,
+            fijaciones_requeridas: this.gpsQualityConfig.requiredFixes,
+            calidad_minima: this.gpsQualityConfig.minRating,
+            aceptable: gps.ready,
+            aceptado_manualmente: this.isGPSOverridden(),
+            evaluado: new Date().toISOString()
+        };
+    }
+
+    updateGPSQualityDisplay() {
+        if (!this.gpsQuality) return;
+        
+        const gps = this.sensorData.gps;
+        if (!gps.hasFix) {
+            this.gpsQuality.textContent = '--';
+            return;
+        }
+        
+        const icons = { excellent: '🟢', good: '🟢', fair: '🟡', poor: '🔴' };
+        const progress = Math.min(gps.consecutiveFixes, this.gpsQualityConfig.requiredFixes);
+        this.gpsQuality.textContent = `${icons[gps.rating]} ${gps.rating} · ${progress}/${this.gpsQualityConfig.requiredFixes}`;
+    }
+
     // Métodos públicos para acceso externo
     isGPSReady() {
         return this.sensorData.gps.ready;
     }
 
+    hasGPSFix() {
+        return this.sensorData.gps.hasFix;
+    }
+
+    // Sin la calidad requerida, pero el usuario confirmó continuar
+    isGPSOverridden() {
+        return this.gpsOverride && this.sensorData.gps.hasFix && !this.sensorData.gps.ready;
+    }
+
+    // Listo para grabar: calidad confirmada o GPS deficiente aceptado explícitamente
+    isGPSAccepted() {
+        return this.isGPSReady() || this.isGPSOverridden();
+    }
+
     isAccelerometerReady() {
         return this.sensorData.accelerometer.ready;
     }
@@ -439,9 +1035,12 @@ class CalibrationManager {
             timestamp: new Date().toISOString(),
             device: deviceInfo,
             browser_capabilities: capabilities,
+            frame_alignment: this.frameAlignment,
+            noise_profile: this.noiseProfile,
             sensors: {
                 gps: {
                     ready: this.sensorData.gps.ready,
+                    quality: this.getGPSQuality(),
                     last_update: this.sensorData.gps.lastUpdate,
                     data_sample: this.sensorData.gps.data
                 },
@@ -4,25 +4,7 @@
 class DataProcessor {
     constructor() {
         // Umbrales CALIBRADOS basados en pruebas de campo
-        this.thresholds = {
-            // Aceleración - MÁS SENSIBLES para condiciones mexicanas
-            harsh_acceleration: 2.0,    // Reducido de 3.5 a 2.0 m/s²
-            harsh_braking: 2.0,         // Reducido de 3.5 a 2.0 m/s²  
-            aggressive_turn: 3.0,       // Reducido de 5.5 a 3.0 m/s²
-            
-            // Velocidad - Más permisivo
-            speeding: 25,               // Aumentado de 20 a 25 km/h sobre límite
-            minimum_speed: 3,           // Reducido de 5 a 3 km/h
-            
-            // NUEVA: Detección sin GPS (basada solo en acelerómetro)
-            motion_threshold: 1.5,      // Variación mínima en aceleración para detectar movimiento
-            sustained_motion: 5,        // Segundos de movimiento sostenido
-            
-            // Filtros anti-ruido MÁS PERMISIVOS
-            acceleration_noise: 0.5,    // Reducido de 1.0 a 0.5 m/s²
-            gps_noise: 1.0,            // Reducido de 2.0 a 1.0 km/h
-            stability_time: 2000       // Reducido de 3000 a 2000 ms
-        };
+        this.thresholds = DataProcessor.DEFAULT_THRESHOLDS;
 
         // Contadores de eventos
         this.eventCounters = {
@@ -32,6 +14,35 @@ class DataProcessor {
             speeding: 0
         };
 
+        // Los mismos contadores desglosados por severidad
+        this.severityCounters = this.createSeverityCounters();
+
+        // Línea de tiempo de eventos (se guarda con la sesión)
+        this.eventLog = [];
+
+        // Ventana de contexto: muestras crudas antes/después de cada evento
+        // (se llena antes del control de frecuencia, a la tasa del sensor)
+        this.contextWindow = {
+            pre: 5000,      // ms antes del evento
+            post: 5000,     // ms después del evento
+            types: ['harsh_acceleration', 'harsh_braking', 'aggressive_turn']
+        };
+        this.contextBuffer = [];
+        this.openContexts = [];
+
+        // Matriz teléfono → vehículo (filas: derecha, adelante, arriba); null = Y adelante
+        this.frameAlignment = null;
+
+        // Posición y velocidad GPS filtradas (rechaza saltos imposibles)
+        this.gpsFilter = new GPSKalmanFilter();
+
+        // Velocidad por estima durante pérdidas de GPS
+        this.speedEstimator = new DeadReckoningEstimator();
+
+        // Giroscopio: guiñada (°/s) promediada en la última ventana
+        this.rotationHistory = [];
+        this.rotationWindow = 500; // ms
+
         // Buffer para análisis temporal
         this.dataBuffer = [];
         this.bufferSize = 8; // Aumentado para mejor análisis
@@ -41,8 +52,25 @@ class DataProcessor {
         this.motionHistory = [];
         this.baselineAcceleration = null;
         this.movementStartTime = null;
+        
+        // Gravedad: paso bajo lento en marcha, rápido en detenciones; un filtro rápido aparte detecta
+        // cambios del montaje (desviación angular sostenida respecto al baseline)
+        this.gravityConfig = {
+            movingTau: 20000,           // ms: constante de tiempo del baseline en marcha
+            stoppedTau: 3000,           // ms: en detenciones (sin aceleración del vehículo)
+            fastTau: 500,               // ms: gravedad instantánea para comparar
+            maxStep: 200,               // ms máximos entre muestras
+            shiftAngle: { moving: 20, stopped: 8 },        // ° de desviación
+            shiftDuration: { moving: 5000, stopped: 1500 }  // ms sostenidos
+        };
+        this.fastGravity = null;
+        this.gravityTime = null;
+        this.shiftSince = null;
         this.lastEventTime = {};
         
+        // Detenido / arrancando / en marcha / deteniéndose (con histéresis)
+        this.movementState = new MovementStateMachine();
+        
         // Variables de estado mejoradas
         this.isVehicleMoving = false;
         this.movementConfidence = 0;
@@ -53,25 +81,88 @@ class DataProcessor {
         this.recordInterval = 1500; // 1.5 segundos (más frecuente para captar eventos)
         
         // Límites de velocidad para Sinaloa
-        this.speedLimits = {
+        this.speedLimits = DataProcessor.DEFAULT_SPEED_LIMITS;
+        
+        this.currentSpeedLimit = this.speedLimits.default;
+        
+        // Zonas de velocidad (SpeedZoneMap); sin mapa se usa el límite por defecto
+        this.speedZones = null;
+        this.currentContext = 'default';
+        this.currentZone = null;
+        
+        // Exceso de velocidad por episodios (inicio → fin) medidos en cada fijación GPS
+        this.speedingConfig = {
+            maxGap: 5000            // ms entre fijaciones: más separadas no se integran
+        };
+        this.speedingEpisode = null;
+        this.unreportedEpisodes = [];
+        this.speedingExposure = this.createSpeedingExposure();
+        this.lastSpeedFix = null;
+        
+        // Distancia, tasas por km / por hora y puntuación de riesgo de la sesión
+        this.riskScorer = new RiskScorer();
+        
+        // Tramos de la sesión (cortes en detenciones largas o pérdidas de GPS)
+        this.tripSegmenter = new TripSegmenter();
+        
+        this.eventListeners = new Map();
+        
+        Utils.log('info', 'DataProcessor FIELD-TESTED inicializado', this.thresholds);
+    }
+
+    // Umbrales de fábrica (para leerlos sin crear un procesador)
+    static get DEFAULT_THRESHOLDS() {
+        return {
+            // Aceleración - MÁS SENSIBLES para condiciones mexicanas
+            harsh_acceleration: 2.0,    // Reducido de 3.5 a 2.0 m/s²
+            harsh_braking: 2.0,         // Reducido de 3.5 a 2.0 m/s²  
+            aggressive_turn: 3.0,       // Reducido de 5.5 a 3.0 m/s²
+            yaw_rate: 10,               // °/s mínimos de guiñada para giro por giroscopio
+            
+            // Velocidad - Más permisivo
+            speeding: 25,               // Aumentado de 20 a 25 km/h sobre límite
+            minimum_speed: 3,           // Reducido de 5 a 3 km/h
+            
+            // NUEVA: Detección sin GPS (basada solo en acelerómetro)
+            motion_threshold: 1.5,      // Variación mínima en aceleración para detectar movimiento
+            sustained_motion: 5,        // Segundos de movimiento sostenido
+            
+            // Filtros anti-ruido MÁS PERMISIVOS
+            acceleration_noise: 0.5,    // Reducido de 1.0 a 0.5 m/s²
+            gps_noise: 1.0,            // Reducido de 2.0 a 1.0 km/h
+            stability_time: 2000       // Reducido de 3000 a 2000 ms
+        };
+    }
+
+    // Límites de velocidad para Sinaloa (km/h)
+    static get DEFAULT_SPEED_LIMITS() {
+        return {
             urban: 60,
             highway: 110,
             residential: 40,
             school: 20,
             default: 60
         };
-        
-        this.currentSpeedLimit = this.speedLimits.default;
-        this.eventListeners = new Map();
-        
-        Utils.log('info', 'DataProcessor FIELD-TESTED inicializado', this.thresholds);
     }
 
     // Procesar datos con detección híbrida (GPS + Solo-Acelerómetro)
     processDataPoint(rawData) {
         try {
-            // Control de frecuencia
-            const now = Date.now();
+            // Marco del vehículo: x lateral (derecha), y longitudinal, z vertical
+            rawData = this.alignToVehicle(rawData);
+            
+            // Control de frecuencia (tiempo del registro, no del reloj: permite reproducir viajes)
+            const now = this.getRecordTime(rawData);
+            
+            // Filtrar cada fijación GPS (antes del control de frecuencia, para no perder ninguna)
+            rawData = this.filterGPS(rawData, now);
+            this.recordContextSample(rawData, now);
+            this.updateRotation(rawData, now);
+            this.updateSpeedEstimate(rawData, now);
+            this.updateSpeedZone(rawData);
+            this.updateSpeedingEpisode(rawData, now);
+            this.updateGravityBaseline(rawData, now);
+            
             if (now - this.lastRecordTime < this.recordInterval) {
                 return null;
             }
@@ -88,9 +179,12 @@ class DataProcessor {
             
             // Enriquecer datos
             const processedData = this.enrichDataFieldTested(rawData);
+            processedData.record_id = rawData.record_id || Utils.generateId();
             
             // Detectar eventos con múltiples métodos
-            const events = this.detectEventsHybrid(processedData);
+            const events = this.detectEventsHybrid(processedData)
+                .map(event => this.logEvent(event, processedData))
+                .concat(this.reportSpeedingEpisodes(processedData));
             
             // Actualizar buffer
             this.updateBuffer(processedData);
@@ -99,6 +193,7 @@ class DataProcessor {
             events.forEach(event => {
                 if (this.eventCounters.hasOwnProperty(event.type)) {
                     this.eventCounters[event.type]++;
+                    this.countSeverity(event.type, event.severity);
                 }
                 
                 this.emitEvent('drivingEvent', {
@@ -120,10 +215,273 @@ class DataProcessor {
         }
     }
 
+    // Guardar el evento completo con el registro que lo disparó
+    logEvent(event, data) {
+        const entry = {
+            id: Utils.generateId(),
+            record_id: data.record_id,
+            session_id: data.session_id || null,
+            direction: null,
+            ...event
+        };
+
+        this.eventLog.push(entry);
+        this.attachContext(entry);
+        return entry;
+    }
+
+    // === VENTANAS DE CONTEXTO ===
+
+    recordContextSample(rawData, time) {
+        const sample = {
+            time: time,
+            timestamp: rawData.timestamp,
+            type: rawData.type,
+            x: rawData.x,
+            y: rawData.y,
+            z: rawData.z,
+            velocidad: rawData.velocidad,
+            heading: rawData.heading,
+            lat: rawData.lat,
+            lon: rawData.lon
+        };
+
+        this.contextBuffer.push(sample);
+        while (this.contextBuffer.length > 0 && time - this.contextBuffer[0].time > this.contextWindow.pre) {
+            this.contextBuffer.shift();
+        }
+
+        // Completar la parte "después" de los eventos abiertos
+        if (this.openContexts.length > 0) {
+            this.openContexts = this.openContexts.filter(open => {
+                if (time - open.time > this.contextWindow.post) {
+                    this.closeContext(open, true);
+                    return false;
+                }
+                open.event.contexto.post.push(this.toContextSample(sample, open.time));
+                return true;
+            });
+        }
+    }
+
+    attachContext(event) {
+        if (!this.contextWindow.types.includes(event.type)) return;
+
+        const time = this.getRecordTime(event);
+        event.contexto = {
+            ventana_ms: { pre: this.contextWindow.pre, post: this.contextWindow.post },
+            pre: this.contextBuffer
+                .filter(sample => sample.time <= time)
+                .map(sample => this.toContextSample(sample, time)),
+            post: [],
+            completo: false
+        };
+
+        this.openContexts.push({ event, time });
+    }
+
+    toContextSample(sample, eventTime) {
+        const { time, ...values } = sample;
+        return { offset_ms: time - eventTime, ...values };
+    }
+
+    closeContext(open, complete) {
+        open.event.contexto.completo = complete;
+        this.emitEvent('eventContext', { event: open.event });
+    }
+
+    // Cerrar ventanas pendientes al detener (quedan marcadas como incompletas)
+    flushEventContexts() {
+        this.openContexts.forEach(open => this.closeContext(open, false));
+        this.openContexts = [];
+    }
+
+    getEventLog() {
+        return [...this.eventLog];
+    }
+
+    // Restaurar la línea de tiempo de una sesión guardada (los contadores vienen en los metadatos)
+    restoreEvents(events = []) {
+        this.eventLog = [...events].sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+
+        // El desglose por severidad se reconstruye desde los eventos
+        this.severityCounters = this.createSeverityCounters();
+        this.eventLog.forEach(event => this.countSeverity(event.type, event.severity));
+    }
+
+    // === SEVERIDAD ===
+
+    static get SEVERITIES() {
+        return ['low', 'moderate', 'high', 'extreme'];
+    }
+
+    createSeverityCounters() {
+        const counters = {};
+        Object.keys(this.eventCounters).forEach(type => {
+            counters[type] = Object.fromEntries(DataProcessor.SEVERITIES.map(severity => [severity, 0]));
+        });
+        return counters;
+    }
+
+    countSeverity(type, severity, delta = 1) {
+        const counters = this.severityCounters[type];
+        if (counters && counters.hasOwnProperty(severity)) {
+            counters[severity] += delta;
+        }
+    }
+
+    getSeverityCounters() {
+        return Object.fromEntries(
+            Object.entries(this.severityCounters).map(([type, counters]) => [type, { ...counters }])
+        );
+    }
+
+    // === FILTRO GPS ===
+
+    // Conserva las lecturas crudas (lat_raw, lon_raw, velocidad_raw) junto a las filtradas
+    filterGPS(rawData, time) {
+        // Aceleración longitudinal del vehículo como entrada del filtro
+        if (rawData.type === 'motion') {
+            if (rawData.lin_y !== undefined && rawData.lin_y !== null) {
+                this.gpsFilter.addAcceleration(rawData.lin_y);
+            }
+            return rawData;
+        }
+
+        if (rawData.type !== 'gps' || rawData.gps_filtered) return rawData;
+        if (!Number.isFinite(rawData.lat) || !Number.isFinite(rawData.lon)) return rawData;
+
+        const estimate = this.gpsFilter.update({
+            time: time,
+            lat: rawData.lat,
+            lon: rawData.lon,
+            accuracy: rawData.accuracy,
+            speed: Number.isFinite(rawData.velocidad) ? rawData.velocidad / 3.6 : null,
+            heading: rawData.heading
+        });
+
+        if (estimate.outlier) {
+            Utils.log('warn', `Fijación GPS rechazada (${estimate.outlier_reason})`, {
+                lat: rawData.lat,
+                lon: rawData.lon,
+                accuracy: rawData.accuracy
+            });
+        }
+
+        return {
+            ...rawData,
+            lat_raw: rawData.lat,
+            lon_raw: rawData.lon,
+            velocidad_raw: rawData.velocidad,
+            lat: estimate.lat,
+            lon: estimate.lon,
+            velocidad: estimate.speed * 3.6,
+            gps_outlier: estimate.outlier,
+            gps_outlier_reason: estimate.outlier_reason,
+            gps_filter_reset: estimate.reset,
+            position_uncertainty: estimate.position_std,
+            speed_uncertainty: estimate.speed_std * 3.6,
+            gps_filtered: true
+        };
+    }
+
+    // === ALINEACIÓN AL VEHÍCULO ===
+
+    setFrameAlignment(matrix) {
+        this.frameAlignment = matrix || null;
+        
+        // El baseline y la guiñada estaban en el marco anterior
+        this.accelerationHistory = [];
+        this.baselineAcceleration = null;
+        this.fastGravity = null;
+        this.rotationHistory = [];
+        
+        Utils.log('info', matrix ? 'Alineación teléfono → vehículo aplicada' : 'Alineación eliminada', matrix);
+    }
+
+    // Rotar acelerómetro, aceleración lineal y giroscopio; conserva las lecturas del teléfono
+    alignToVehicle(rawData) {
+        if (!this.frameAlignment || rawData.frame_aligned) return rawData;
+        if (rawData.x === undefined || rawData.y === undefined || rawData.z === undefined) return rawData;
+
+        const aligned = {
+            ...rawData,
+            phone_x: rawData.x,
+            phone_y: rawData.y,
+            phone_z: rawData.z,
+            ...this.rotateVector(rawData.x, rawData.y, rawData.z, 'x', 'y', 'z'),
+            frame_aligned: true
+        };
+
+        if (rawData.lin_x !== undefined) {
+            Object.assign(aligned, this.rotateVector(rawData.lin_x, rawData.lin_y, rawData.lin_z, 'lin_x', 'lin_y', 'lin_z'));
+        }
+
+        // rotationRate: beta gira alrededor de X, gamma de Y, alpha de Z
+        if (rawData.rot_alpha !== undefined && rawData.rot_alpha !== null) {
+            Object.assign(aligned, this.rotateVector(rawData.rot_beta, rawData.rot_gamma, rawData.rot_alpha, 'rot_beta', 'rot_gamma', 'rot_alpha'));
+        }
+
+        return aligned;
+    }
+
+    rotateVector(x, y, z, keyX, keyY, keyZ) {
+        const m = this.frameAlignment;
+        return {
+            [keyX]: m[0][0] * x + m[0][1] * y + m[0][2] * z,
+            [keyY]: m[1][0] * x + m[1][1] * y + m[1][2] * z,
+            [keyZ]: m[2][0] * x + m[2][1] * y + m[2][2] * z
+        };
+    }
+
+    // === GIROSCOPIO ===
+
+    // Guiñada = rotación proyectada sobre el vector "arriba" (gravedad):
+    // no depende de cómo esté montado el teléfono. Positiva = izquierda.
+    updateRotation(rawData, time) {
+        if (rawData.rot_alpha === undefined || rawData.rot_alpha === null) return;
+
+        const up = this.getUpVector(rawData);
+        if (!up) return;
+
+        // rotationRate: alpha alrededor de Z, beta de X, gamma de Y (°/s)
+        const yaw = (rawData.rot_alpha || 0) * up.z +
+                    (rawData.rot_beta || 0) * up.x +
+                    (rawData.rot_gamma || 0) * up.y;
+
+        this.rotationHistory.push({ time, yaw });
+        while (this.rotationHistory.length > 0 && time - this.rotationHistory[0].time > this.rotationWindow) {
+            this.rotationHistory.shift();
+        }
+    }
+
+    // Dirección de la gravedad en el marco del teléfono (baseline o lectura actual)
+    getUpVector(rawData) {
+        const source = this.baselineAcceleration || rawData;
+        if (source.x === undefined || source.y === undefined || source.z === undefined) return null;
+
+        const norm = Math.sqrt(source.x ** 2 + source.y ** 2 + source.z ** 2);
+        if (norm < 5) return null; // Sin gravedad no hay referencia confiable
+
+        return { x: source.x / norm, y: source.y / norm, z: source.z / norm };
+    }
+
+    getYawRate() {
+        if (this.rotationHistory.length === 0) return null;
+        return this.rotationHistory.reduce((sum, r) => sum + r.yaw, 0) / this.rotationHistory.length;
+    }
+
+    // Tiempo del registro en ms; el reloj solo si el timestamp no es válido
+    getRecordTime(data) {
+        const time = data ? Date.parse(data.timestamp) : NaN;
+        return Number.isNaN(time) ? Date.now() : time;
+    }
+
     // NUEVA: Detección híbrida de movimiento (GPS + Acelerómetro)
     updateHybridMovementDetection(rawData) {
-        // Método 1: GPS (si está disponible)
-        const hasGPS = rawData.lat && rawData.lon;
+        // Método 1: GPS (si está disponible y reciente: los registros de movimiento arrastran la última posición)
+        const hasGPS = rawData.lat && rawData.lon &&
+            this.speedEstimator.isGPSFresh(this.getRecordTime(rawData)) !== false;
         this.gpsAvailable = hasGPS;
         
         let gpsMotion = false;
@@ -151,18 +509,20 @@ class DataProcessor {
             // Sin GPS: basado solo en acelerómetro (NUEVO)
             if (accelMotion) confidence += 70;
             if (this.hasSustainedMotion()) confidence += 30;
+            
+            // Pérdida de GPS (túnel): a velocidad constante el acelerómetro no ve nada, la estima sí
+            if (this.hasDeadReckonedMotion()) confidence += 70;
         }
         
         this.movementConfidence = Math.min(confidence, 100);
         
-        // NUEVO: Umbral más bajo para sin GPS
-        const threshold = this.gpsAvailable ? 50 : 40;
-        this.isVehicleMoving = this.movementConfidence > threshold;
+        // Umbrales de entrada/salida y tiempos mínimos: el estado no parpadea cerca del umbral
+        const previous = this.movementState.state;
+        const state = this.movementState.update(this.getRecordTime(rawData), this.movementConfidence, this.gpsAvailable);
+        this.isVehicleMoving = this.movementState.isMoving();
         
-        // Log cambios de estado
-        if (this.isVehicleMoving !== this.wasMoving) {
-            Utils.log('info', `Movimiento: ${this.isVehicleMoving} (GPS: ${this.gpsAvailable}, Conf: ${this.movementConfidence}%)`);
-            this.wasMoving = this.isVehicleMoving;
+        if (state !== previous) {
+            this.emitEvent('movementState', { from: previous, to: state, timestamp: rawData.timestamp });
         }
     }
 
@@ -175,7 +535,7 @@ class DataProcessor {
             y: data.y,
             z: data.z,
             magnitude: Math.sqrt(data.x**2 + data.y**2 + data.z**2),
-            timestamp: Date.now()
+            timestamp: this.getRecordTime(data)
         };
         
         // Mantener historial de aceleración
@@ -184,11 +544,7 @@ class DataProcessor {
             this.accelerationHistory.shift();
         }
         
-        // Establecer baseline si no existe
-        if (!this.baselineAcceleration && this.accelerationHistory.length >= 5) {
-            this.baselineAcceleration = this.calculateAccelerationBaseline();
-        }
-        
+        // Baseline de gravedad (updateGravityBaseline, en cada muestra)
         if (!this.baselineAcceleration) return false;
         
         // Detectar variación significativa respecto al baseline
@@ -199,7 +555,7 @@ class DataProcessor {
         this.motionHistory.push({
             moving: isMoving,
             variation: variation,
-            timestamp: Date.now()
+            timestamp: currentAccel.timestamp
         });
         
         if (this.motionHistory.length > 20) {
@@ -209,19 +565,92 @@ class DataProcessor {
         return isMoving;
     }
 
-    // Calcular baseline de aceleración (estado de reposo)
-    calculateAccelerationBaseline() {
-        if (this.accelerationHistory.length < 5) return null;
-        
-        const recent = this.accelerationHistory.slice(-5);
+    // === BASELINE DE GRAVEDAD ===
+
+    // Cada muestra del acelerómetro (antes del control de frecuencia)
+    updateGravityBaseline(rawData, time) {
+        if (!Number.isFinite(rawData.x) || !Number.isFinite(rawData.y) || !Number.isFinite(rawData.z)) return;
+
+        const sample = { x: rawData.x, y: rawData.y, z: rawData.z };
+        const config = this.gravityConfig;
+
+        if (!this.baselineAcceleration || !this.fastGravity) {
+            this.baselineAcceleration = this.withMagnitude(sample);
+            this.fastGravity = sample;
+            this.gravityTime = time;
+            this.shiftSince = null;
+            return;
+        }
+
+        const dt = Math.min(Math.max(time - this.gravityTime, 0), config.maxStep);
+        this.gravityTime = time;
+        if (dt === 0) return;
+
+        const stopped = this.movementState.state === 'stopped';
+        this.fastGravity = this.lowPass(this.fastGravity, sample, dt / (config.fastTau + dt));
+        this.baselineAcceleration = this.withMagnitude(this.lowPass(
+            this.baselineAcceleration, sample, dt / ((stopped ? config.stoppedTau : config.movingTau) + dt)
+        ));
+
+        // Cambio de montaje: la gravedad instantánea se aleja del baseline y no vuelve.
+        // Un arranque sin confirmar cuenta como detenido (mover el teléfono también parece arranque)
+        const key = stopped || this.movementState.state === 'starting' ? 'stopped' : 'moving';
+        const angle = this.angleBetween(this.fastGravity, this.baselineAcceleration);
+        if (angle <= config.shiftAngle[key]) {
+            this.shiftSince = null;
+            return;
+        }
+
+        if (this.shiftSince === null) {
+            this.shiftSince = time;
+        } else if (time - this.shiftSince >= config.shiftDuration[key]) {
+            this.handleMountShift(rawData, angle, key);
+        }
+    }
+
+    // Re-baseline inmediato y aviso (la alineación teléfono → vehículo ya no es válida)
+    handleMountShift(rawData, angle, state) {
+        const previous = this.baselineAcceleration;
+        this.baselineAcceleration = this.withMagnitude(this.fastGravity);
+        this.shiftSince = null;
+        this.accelerationHistory = [];
+        this.motionHistory = [];
+        this.rotationHistory = [];
+
+        const shift = {
+            timestamp: rawData.timestamp,
+            angulo_grados: Number(angle.toFixed(1)),
+            estado: state,
+            gravedad_anterior: { x: previous.x, y: previous.y, z: previous.z },
+            gravedad_nueva: { ...this.fastGravity },
+            alineacion_invalida: this.frameAlignment !== null
+        };
+
+        Utils.log('warn', `Cambio de montaje detectado (${shift.angulo_grados}°)`, shift);
+        this.emitEvent('mountShift', shift);
+    }
+
+    lowPass(previous, sample, alpha) {
         return {
-            x: recent.reduce((sum, a) => sum + a.x, 0) / recent.length,
-            y: recent.reduce((sum, a) => sum + a.y, 0) / recent.length,
-            z: recent.reduce((sum, a) => sum + a.z, 0) / recent.length,
-            magnitude: recent.reduce((sum, a) => sum + a.magnitude, 0) / recent.length
+            x: previous.x + alpha * (sample.x - previous.x),
+            y: previous.y + alpha * (sample.y - previous.y),
+            z: previous.z + alpha * (sample.z - previous.z)
         };
     }
 
+    withMagnitude(vector) {
+        return { x: vector.x, y: vector.y, z: vector.z, magnitude: Math.sqrt(vector.x ** 2 + vector.y ** 2 + vector.z ** 2) };
+    }
+
+    angleBetween(a, b) {
+        const normA = Math.sqrt(a.x ** 2 + a.y ** 2 + a.z ** 2);
+        const normB = Math.sqrt(b.x ** 2 + b.y ** 2 + b.z ** 2);
+        if (normA === 0 || normB === 0) return 0;
+
+        const cos = (a.x * b.x + a.y * b.y + a.z * b.z) / (normA * normB);
+        return Math.acos(Math.max(-1, Math.min(1, cos))) * 180 / Math.PI;
+    }
+
     // Calcular variación respecto al baseline
     calculateAccelerationVariation(current) {
         if (!this.baselineAcceleration) return 0;
@@ -233,6 +662,14 @@ class DataProcessor {
         return Math.sqrt(deltaX**2 + deltaY**2 + deltaZ**2);
     }
 
+    // Velocidad por estima sobre la mínima (la corrección de velocidad cero la deja en 0 al detenerse)
+    hasDeadReckonedMotion() {
+        const estimator = this.speedEstimator;
+        return estimator.method === 'dead_reckoning' &&
+            estimator.speed !== null &&
+            estimator.speed * 3.6 > this.thresholds.minimum_speed;
+    }
+
     // Verificar movimiento sostenido
     hasSustainedMotion() {
         if (this.motionHistory.length < 5) return false;
@@ -258,9 +695,20 @@ class DataProcessor {
             enriched.filtered_acceleration = this.calculateFilteredAcceleration(rawData);
         }
 
-        // NUEVA: Velocidad estimada sin GPS
-        if (!rawData.velocidad && this.isVehicleMoving) {
-            enriched.estimated_speed = this.estimateSpeedFromAccelerometer();
+        // Guiñada del giroscopio (si el dispositivo la reporta)
+        const yawRate = this.getYawRate();
+        if (yawRate !== null) {
+            enriched.yaw_rate = yawRate;
+        }
+
+        // Velocidad: GPS o, durante la pérdida, estima desde la última velocidad buena
+        this.applySpeedEstimate(enriched);
+
+        // Límite y contexto de la vía en la última posición GPS
+        enriched.speed_limit = this.currentSpeedLimit;
+        enriched.driving_context = this.currentContext;
+        if (this.currentZone && this.currentZone.zone_name) {
+            enriched.speed_zone = this.currentZone.zone_name;
         }
 
         // Aceleración longitudinal mejorada
@@ -270,7 +718,12 @@ class DataProcessor {
 
         // Metadatos de detección
         enriched.vehicle_moving = this.isVehicleMoving;
+        enriched.movement_state = this.movementState.state;
         enriched.movement_confidence = this.movementConfidence;
+        const stopStart = this.movementState.getStopStart();
+        if (stopStart) {
+            enriched.stop_started = stopStart;
+        }
         enriched.gps_available = this.gpsAvailable;
         enriched.detection_method = this.gpsAvailable ? 'GPS+Accel' : 'Accel-Only';
         
@@ -288,26 +741,265 @@ class DataProcessor {
         };
     }
 
-    // NUEVA: Estimar velocidad sin GPS
-    estimateSpeedFromAccelerometer() {
-        if (this.accelerationHistory.length < 3) return 0;
-        
-        const recent = this.accelerationHistory.slice(-3);
-        const avgVariation = recent.reduce((sum, a) => {
-            return sum + this.calculateAccelerationVariation(a);
-        }, 0) / recent.length;
+    // === CONFIGURACIÓN DE ANÁLISIS ===
+
+    // Configuración guardada en la app ({ puntuacion_riesgo, segmentacion }); sin ella, los valores de fábrica
+    configureAnalysis(settings = {}) {
+        this.riskScorer = new RiskScorer(settings.puntuacion_riesgo || {});
+        this.tripSegmenter = new TripSegmenter(settings.segmentacion || {});
+        Utils.log('info', 'Configuración de análisis aplicada', settings);
+    }
+
+    // === ZONAS DE VELOCIDAD ===
+
+    setSpeedZones(map) {
+        this.speedZones = map || null;
+        this.currentSpeedLimit = this.speedLimits.default;
+        this.currentContext = 'default';
+        this.currentZone = null;
         
-        // Mapear variación de aceleración a velocidad estimada (heurística)
-        if (avgVariation > 4.0) return 60; // Alta velocidad
-        if (avgVariation > 2.0) return 35; // Velocidad media
-        if (avgVariation > 1.0) return 15; // Velocidad baja
-        return 5; // Velocidad muy baja
+        Utils.log('info', map ? 'Zonas de velocidad aplicadas' : 'Zonas de velocidad eliminadas', map ? map.describe() : null);
+    }
+
+    // Cada fijación GPS (filtrada y no atípica) actualiza el límite vigente
+    updateSpeedZone(rawData) {
+        if (!this.speedZones || rawData.type === 'motion' || rawData.gps_outlier) return;
+        if (!Number.isFinite(rawData.lat) || !Number.isFinite(rawData.lon)) return;
+
+        const zone = this.speedZones.lookup(rawData.lat, rawData.lon);
+        this.currentZone = zone;
+        this.currentSpeedLimit = zone ? zone.limit : this.speedLimits.default;
+        this.currentContext = zone ? zone.context : 'default';
+    }
+
+    // === EPISODIOS DE EXCESO DE VELOCIDAD ===
+
+    // Cada fijación GPS: integra tiempo y distancia en movimiento y abre/cierra episodios.
+    // Un episodio termina cuando la velocidad sigue bajo el umbral más de stability_time.
+    updateSpeedingEpisode(rawData, time) {
+        if (rawData.type !== 'gps' || rawData.gps_outlier || !Number.isFinite(rawData.velocidad)) return;
+
+        const fix = {
+            time: time,
+            timestamp: rawData.timestamp,
+            speed: rawData.velocidad,
+            excess: rawData.velocidad - this.currentSpeedLimit,
+            location: { lat: rawData.lat, lon: rawData.lon }
+        };
+        const previous = this.lastSpeedFix;
+        const dt = previous ? (time - previous.time) / 1000 : 0;
+        const connected = previous && dt > 0 && dt * 1000 <= this.speedingConfig.maxGap;
+        this.lastSpeedFix = fix;
+
+        if (connected) {
+            this.addSpeedingExposure(this.speedingExposure, dt, previous.speed, fix.speed);
+        }
+
+        const episode = this.speedingEpisode;
+        if (episode && !connected) {
+            this.closeSpeedingEpisode();
+        }
+
+        if (fix.excess > this.thresholds.speeding) {
+            if (!this.speedingEpisode) {
+                this.openSpeedingEpisode(fix);
+                return;
+            }
+
+            // Tramo (incluye los intervalos bajo el umbral dentro de la tolerancia)
+            const open = this.speedingEpisode;
+            open.pending.time += dt;
+            open.pending.distance += dt * (previous.speed + fix.speed) / 2 / 3.6;
+            open.pending.excess += dt * (previous.excess + fix.excess) / 2;
+            open.duration_sec += open.pending.time;
+            open.distance_m += open.pending.distance;
+            open.excess_integral += open.pending.excess;
+            open.pending = { time: 0, distance: 0, excess: 0 };
+
+            open.end = fix.timestamp;
+            open.last_over = time;
+            if (fix.excess > open.peak_excess) {
+                open.peak_excess = fix.excess;
+                open.peak_speed = fix.speed;
+                open.location = fix.location;
+            }
+            open.limit = this.currentSpeedLimit;
+            return;
+        }
+
+        if (this.speedingEpisode) {
+            const open = this.speedingEpisode;
+            if (time - open.last_over > this.thresholds.stability_time) {
+                this.closeSpeedingEpisode();
+            } else {
+                open.pending.time += dt;
+                open.pending.distance += dt * (previous.speed + fix.speed) / 2 / 3.6;
+                open.pending.excess += dt * (previous.excess + fix.excess) / 2;
+            }
+        }
+    }
+
+    openSpeedingEpisode(fix) {
+        this.speedingEpisode = {
+            start: fix.timestamp,
+            end: fix.timestamp,
+            last_over: fix.time,
+            duration_sec: 0,
+            distance_m: 0,
+            excess_integral: 0,
+            peak_excess: fix.excess,
+            peak_speed: fix.speed,
+            limit: this.currentSpeedLimit,
+            context: this.currentContext,
+            location: fix.location,
+            pending: { time: 0, distance: 0, excess: 0 },
+            ongoing: true,
+            event: null
+        };
+        this.unreportedEpisodes.push(this.speedingEpisode);
+    }
+
+    // Cierra el episodio abierto (p. ej. al detener la grabación) y actualiza su evento
+    closeSpeedingEpisode() {
+        const episode = this.speedingEpisode;
+        if (!episode) return;
+
+        episode.ongoing = false;
+        this.speedingExposure.episodes.push(episode);
+        this.speedingEpisode = null;
+
+        // Ya reportado: completar el evento guardado para volver a guardarlo
+        if (episode.event) {
+            // La severidad final sale del exceso máximo de todo el episodio
+            const severity = this.calculateSpeedingSeverity(episode.peak_excess);
+            if (severity !== episode.event.severity) {
+                this.countSeverity('speeding', episode.event.severity, -1);
+                this.countSeverity('speeding', severity);
+            }
+            episode.event.severity = severity;
+            episode.event.value = episode.peak_excess;
+            episode.event.speed = episode.peak_speed;
+            episode.event.location = episode.location;
+            this.describeSpeedingEpisode(episode.event, episode);
+            this.emitEvent('speedingEpisode', { event: episode.event });
+        }
+    }
+
+    describeSpeedingEpisode(event, episode) {
+        event.start = episode.start;
+        event.end = episode.end;
+        event.duration_sec = Number(episode.duration_sec.toFixed(1));
+        event.distance_m = Number(episode.distance_m.toFixed(1));
+        event.peak_excess = Number(episode.peak_excess.toFixed(1));
+        event.mean_excess = Number((episode.duration_sec > 0
+            ? episode.excess_integral / episode.duration_sec
+            : episode.peak_excess).toFixed(1));
+        event.ongoing = episode.ongoing;
+    }
+
+    createSpeedingExposure() {
+        return { moving_time_sec: 0, moving_distance_m: 0, episodes: [] };
+    }
+
+    // Tiempo y distancia en movimiento (denominador de los porcentajes)
+    addSpeedingExposure(exposure, dt, previousSpeed, speed) {
+        const average = (previousSpeed + speed) / 2;
+        if (average <= this.thresholds.minimum_speed) return;
+
+        exposure.moving_time_sec += dt;
+        exposure.moving_distance_m += dt * average / 3.6;
+    }
+
+    // Episodios + porcentaje del tiempo y de la distancia sobre el límite
+    summarizeSpeeding(episodes, exposure) {
+        const overTime = episodes.reduce((sum, e) => sum + e.duration_sec, 0);
+        const overDistance = episodes.reduce((sum, e) => sum + e.distance_m, 0);
+        const percent = (part, total) => total > 0 ? Number(Math.min(100, part / total * 100).toFixed(1)) : 0;
+
+        return {
+            episodes: episodes.length,
+            time_over_limit_sec: Number(overTime.toFixed(1)),
+            distance_over_limit_km: Number((overDistance / 1000).toFixed(3)),
+            percent_time_over_limit: percent(overTime, exposure.moving_time_sec),
+            percent_distance_over_limit: percent(overDistance, exposure.moving_distance_m),
+            longest_episode_sec: episodes.length > 0 ? Math.max(...episodes.map(e => e.duration_sec)) : 0,
+            peak_excess_kmh: episodes.length > 0 ? Math.max(...episodes.map(e => e.peak_excess)) : 0,
+            mean_excess_kmh: overTime > 0
+                ? Number((episodes.reduce((sum, e) => sum + e.mean_excess * e.duration_sec, 0) / overTime).toFixed(1))
+                : 0,
+            moving_time_sec: Number(exposure.moving_time_sec.toFixed(1)),
+            moving_distance_km: Number((exposure.moving_distance_m / 1000).toFixed(3))
+        };
+    }
+
+    // Resumen en vivo (incluye el episodio en curso)
+    getSpeedingSummary() {
+        const episodes = this.speedingExposure.episodes.concat(this.speedingEpisode ? [this.speedingEpisode] : [])
+            .map(episode => {
+                const summary = {};
+                this.describeSpeedingEpisode(summary, episode);
+                return summary;
+            });
+
+        return {
+            ...this.summarizeSpeeding(episodes, this.speedingExposure),
+            ongoing: this.speedingEpisode !== null
+        };
+    }
+
+    // === VELOCIDAD POR ESTIMA ===
+
+    // GPS aceptado: ancla. Movimiento: integra la aceleración longitudinal (sin gravedad)
+    updateSpeedEstimate(rawData, time) {
+        if (rawData.type === 'gps') {
+            if (rawData.lat && !rawData.gps_outlier) {
+                this.speedEstimator.updateGPS(time, rawData.velocidad, rawData.speed_uncertainty);
+            }
+            return;
+        }
+
+        if (rawData.x === undefined || rawData.y === undefined || rawData.z === undefined) return;
+
+        const longitudinal = rawData.lin_y ?? (this.baselineAcceleration ? rawData.y - this.baselineAcceleration.y : null);
+        if (longitudinal === null) return;
+
+        this.speedEstimator.addAcceleration(
+            time,
+            longitudinal,
+            Math.sqrt(rawData.x ** 2 + rawData.y ** 2 + rawData.z ** 2),
+            this.thresholds.acceleration_noise,
+            this.getYawRate()
+        );
+    }
+
+    applySpeedEstimate(enriched) {
+        const estimate = this.speedEstimator.getEstimate(this.getRecordTime(enriched));
+        const gpsFresh = this.speedEstimator.isGPSFresh(this.getRecordTime(enriched));
+
+        // Sin fijaciones tipadas (p. ej. CSV antiguo): la velocidad del registro es la del GPS
+        if (gpsFresh || (gpsFresh === null && enriched.velocidad)) {
+            enriched.speed_method = 'gps';
+        } else if (estimate.method === 'none') {
+            enriched.speed_method = 'none';
+        } else {
+            // La velocidad arrastrada del último GPS ya no vale: se reemplaza por la estimada
+            enriched.speed_method = estimate.method;
+            enriched.velocidad = estimate.speed_kmh;
+            enriched.estimated_speed = estimate.speed_kmh;
+            enriched.speed_uncertainty = estimate.uncertainty_kmh;
+            enriched.gps_outage_sec = estimate.outage_sec;
+        }
+
+        // Primer registro con GPS tras la pérdida: error de la estima
+        if (estimate.correction) {
+            enriched.dead_reckoning_error = estimate.correction.error_kmh;
+        }
     }
 
     // Detección híbrida de eventos (GPS + Solo-Acelerómetro)
     detectEventsHybrid(data) {
         const events = [];
-        const now = Date.now();
+        const now = this.getRecordTime(data);
         
         // Solo detectar eventos si hay movimiento
         if (!this.isVehicleMoving) return events;
@@ -362,9 +1054,10 @@ class DataProcessor {
             }
         }
 
-        // 3. Giros agresivos (basado en aceleración lateral)
-        if (data.filtered_acceleration) {
-            const lateral = Math.abs(data.filtered_acceleration.x);
+        // 3. Giros agresivos (guiñada × velocidad, o aceleración lateral sin giroscopio)
+        const turn = this.calculateTurn(data);
+        if (turn) {
+            const lateral = turn.lateral;
             
             if (lateral > this.thresholds.aggressive_turn) {
                 if (!this.lastEventTime.aggressive_turn || 
@@ -374,7 +1067,9 @@ class DataProcessor {
                         type: 'aggressive_turn',
                         severity: this.calculateSeverity(lateral, this.thresholds.aggressive_turn),
                         value: lateral,
-                        direction: data.filtered_acceleration.x > 0 ? 'right' : 'left',
+                        direction: turn.direction,
+                        turn_method: turn.method,
+                        yaw_rate: data.yaw_rate ?? null,
                         method: data.detection_method,
                         timestamp: data.timestamp,
                         location: { lat: data.lat || null, lon: data.lon || null },
@@ -386,34 +1081,59 @@ class DataProcessor {
             }
         }
 
-        // 4. Exceso de velocidad (solo si hay GPS)
-        if (data.gps_available && data.velocidad) {
-            const excess = data.velocidad - this.currentSpeedLimit;
-            
-            if (excess > this.thresholds.speeding) {
-                if (!this.lastEventTime.speeding || 
-                    now - this.lastEventTime.speeding > (minTimeBetweenEvents * 2)) {
-                    
-                    events.push({
-                        type: 'speeding',
-                        severity: this.calculateSpeedingSeverity(excess),
-                        value: excess,
-                        speed: data.velocidad,
-                        limit: this.currentSpeedLimit,
-                        method: data.detection_method,
-                        timestamp: data.timestamp,
-                        location: { lat: data.lat, lon: data.lon },
-                        confidence: data.movement_confidence
-                    });
-                    
-                    this.lastEventTime.speeding = now;
-                }
-            }
-        }
+        return events;
+    }
+
+    // Exceso de velocidad: un evento por episodio (se completa al terminar el episodio)
+    reportSpeedingEpisodes(data) {
+        const events = this.unreportedEpisodes.map(episode => {
+            const event = {
+                type: 'speeding',
+                severity: this.calculateSpeedingSeverity(episode.peak_excess),
+                value: episode.peak_excess,
+                speed: episode.peak_speed,
+                limit: episode.limit,
+                context: episode.context,
+                method: data.detection_method,
+                timestamp: data.timestamp,
+                location: episode.location,
+                confidence: data.movement_confidence
+            };
+            this.describeSpeedingEpisode(event, episode);
+            episode.event = this.logEvent(event, data);
+            return episode.event;
+        });
+        this.unreportedEpisodes = [];
 
         return events;
     }
 
+    // Aceleración lateral del giro: con giroscopio y GPS, a = v·ω (independiente del montaje)
+    calculateTurn(data) {
+        if (data.yaw_rate !== undefined && data.gps_available && data.velocidad) {
+            const yawRate = data.yaw_rate;
+            const lateral = Math.abs(yawRate) < this.thresholds.yaw_rate
+                ? 0
+                : (data.velocidad / 3.6) * Math.abs(yawRate) * Math.PI / 180;
+
+            return {
+                lateral: lateral,
+                direction: yawRate > 0 ? 'left' : 'right',
+                method: 'yaw'
+            };
+        }
+
+        if (data.filtered_acceleration) {
+            return {
+                lateral: Math.abs(data.filtered_acceleration.x),
+                direction: data.filtered_acceleration.x > 0 ? 'right' : 'left',
+                method: 'accel'
+            };
+        }
+
+        return null;
+    }
+
     // NUEVA: Calcular aceleración longitudinal instantánea
     calculateInstantLongitudinal(filteredAccel) {
         // Usar componente Y como longitudinal (adelante/atrás)
@@ -444,12 +1164,14 @@ class DataProcessor {
 
     // Verificar movimiento GPS
     hasGPSMovement(data) {
+        const now = this.getRecordTime(data);
+        
         if (!data.lat || !data.lon || !this.lastGPSPoint) {
             if (data.lat && data.lon) {
                 this.lastGPSPoint = {
                     lat: data.lat,
                     lon: data.lon,
-                    timestamp: Date.now()
+                    timestamp: now
                 };
             }
             return false;
@@ -460,13 +1182,13 @@ class DataProcessor {
             data.lat, data.lon
         );
         
-        const timeDiff = (Date.now() - this.lastGPSPoint.timestamp) / 1000;
+        const timeDiff = (now - this.lastGPSPoint.timestamp) / 1000;
         const calculatedSpeed = timeDiff > 0 ? (distance / timeDiff) * 3.6 : 0;
         
         this.lastGPSPoint = {
             lat: data.lat,
             lon: data.lon,
-            timestamp: Date.now()
+            timestamp: now
         };
         
         return calculatedSpeed > this.thresholds.gps_noise;
@@ -502,6 +1224,11 @@ class DataProcessor {
             return { error: 'No hay datos para analizar' };
         }
 
+        // Episodios guardados + tiempo/distancia en movimiento de los registros con GPS
+        const episodes = this.eventLog.filter(event => event.type === 'speeding' && event.duration_sec !== undefined);
+        const speeding = this.summarizeSpeeding(episodes, this.measureSpeedingExposure(allData));
+        const assessment = this.riskScorer.assess(allData, this.eventCounters, speeding, this.getSeverityCounters());
+
         const movingData = allData.filter(d => d.vehicle_moving);
         const gpsData = allData.filter(d => d.gps_available);
         const accelOnlyData = allData.filter(d => !d.gps_available && d.vehicle_moving);
@@ -513,7 +1240,12 @@ class DataProcessor {
                 stationary_records: allData.length - movingData.length,
                 gps_records: gpsData.length,
                 accel_only_records: accelOnlyData.length,
-                total_time_minutes: this.calculateTotalTime(allData) / 60000,
+                total_time_minutes: Number((this.calculateTotalTime(allData) / 60000).toFixed(1)),
+                moving_time_minutes: assessment.trip.moving_time_min,
+                total_distance_km: assessment.trip.distance_km,
+                average_speed: assessment.trip.average_speed,
+                max_speed: assessment.trip.max_speed,
+                speed_std: assessment.trip.speed_std,
                 average_confidence: this.calculateAverageConfidence(allData)
             },
             detection_methods: {
@@ -528,6 +1260,14 @@ class DataProcessor {
                 aggressive_turns: this.eventCounters.aggressive_turn,
                 speeding_events: this.eventCounters.speeding
             },
+            stops_summary: this.summarizeStops(allData),
+            segments_summary: this.summarizeSegments(allData),
+            speeding_summary: speeding,
+            severity_summary: assessment.severity,
+            events_per_km: assessment.events_per_km,
+            events_per_hour: assessment.events_per_hour,
+            risk_assessment: assessment.risk_assessment,
+            recommendations: assessment.recommendations,
             field_performance: {
                 events_per_minute: movingData.length > 0 ? 
                     (Object.values(this.eventCounters).reduce((a, b) => a + b, 0) / (this.calculateTotalTime(movingData) / 60000)).toFixed(2) : 0,
@@ -536,6 +1276,92 @@ class DataProcessor {
         };
     }
 
+    // Tiempo y distancia en movimiento (y sobre el límite) entre registros con GPS consecutivos
+    measureSpeedingExposure(data) {
+        const exposure = this.createSpeedingExposure();
+        const speedData = data.filter(d => d.gps_available && Number.isFinite(d.velocidad));
+        for (let i = 1; i < speedData.length; i++) {
+            const dt = (this.getRecordTime(speedData[i]) - this.getRecordTime(speedData[i - 1])) / 1000;
+            if (dt > 0 && dt * 1000 <= this.speedingConfig.maxGap) {
+                this.addSpeedingExposure(exposure, dt, speedData[i - 1].velocidad, speedData[i].velocidad);
+            }
+        }
+        return exposure;
+    }
+
+    // Tramos (p. ej. ida y vuelta) con distancia, duración, perfil de velocidad, eventos y riesgo propios
+    summarizeSegments(allData) {
+        const segments = this.tripSegmenter.split(allData).map((segment, i) => {
+            const records = allData.slice(segment.from, segment.to + 1);
+            const start = records[0].timestamp;
+            const end = records[records.length - 1].timestamp;
+
+            // Eventos del tramo por su timestamp (un episodio de velocidad cuenta en el tramo donde empezó)
+            const events = this.eventLog.filter(event => event.timestamp >= start && event.timestamp <= end);
+            const counters = Object.fromEntries(Object.keys(this.eventCounters).map(type => [type, 0]));
+            const severity = this.createSeverityCounters();
+            events.forEach(event => {
+                if (!counters.hasOwnProperty(event.type)) return;
+                counters[event.type]++;
+                if (severity[event.type].hasOwnProperty(event.severity)) {
+                    severity[event.type][event.severity]++;
+                }
+            });
+
+            const episodes = events.filter(event => event.type === 'speeding' && event.duration_sec !== undefined);
+            const speeding = this.summarizeSpeeding(episodes, this.measureSpeedingExposure(records));
+            const assessment = this.riskScorer.assess(records, counters, speeding, severity);
+
+            return {
+                segment: i + 1,
+                start: start,
+                end: end,
+                duration_minutes: Number((this.calculateTotalTime(records) / 60000).toFixed(1)),
+                moving_time_minutes: assessment.trip.moving_time_min,
+                distance_km: assessment.trip.distance_km,
+                average_speed: assessment.trip.average_speed,
+                max_speed: assessment.trip.max_speed,
+                speed_std: assessment.trip.speed_std,
+                speed_profile: this.tripSegmenter.speedProfile(records),
+                events: {
+                    total_events: Object.values(counters).reduce((a, b) => a + b, 0),
+                    harsh_acceleration: counters.harsh_acceleration,
+                    harsh_braking: counters.harsh_braking,
+                    aggressive_turns: counters.aggressive_turn,
+                    speeding_events: counters.speeding
+                },
+                events_per_km: assessment.events_per_km.total_events_per_km,
+                percent_time_over_limit: speeding.percent_time_over_limit,
+                risk_score: assessment.risk_assessment.score,
+                risk_level: assessment.risk_assessment.level,
+                ended_by: segment.ended_by,
+                records: records.length
+            };
+        });
+
+        return {
+            total_segments: segments.length,
+            long_stop_sec: this.tripSegmenter.config.longStop,
+            gps_gap_sec: this.tripSegmenter.config.gpsGap,
+            segments: segments
+        };
+    }
+
+    // Detenciones (semáforos, tráfico, estacionado) y tiempo detenido
+    summarizeStops(allData) {
+        const stops = MovementStateMachine.findStops(allData);
+        const idle = stops.reduce((sum, stop) => sum + stop.duration_sec, 0);
+        const total = this.calculateTotalTime(allData) / 1000;
+
+        return {
+            stops: stops.length,
+            idle_time_sec: Number(idle.toFixed(1)),
+            idle_percent: total > 0 ? Number(Math.min(100, idle / total * 100).toFixed(1)) : 0,
+            longest_stop_sec: stops.length > 0 ? Math.max(...stops.map(stop => stop.duration_sec)) : 0,
+            segments: stops
+        };
+    }
+
     calculateAverageConfidence(data) {
         if (data.length === 0) return 0;
         return (data.reduce((sum, d) => sum + (d.movement_confidence || 0), 0) / data.length).toFixed(1);
@@ -585,12 +1411,31 @@ class DataProcessor {
         Object.keys(this.eventCounters).forEach(key => {
             this.eventCounters[key] = 0;
         });
+        this.severityCounters = this.createSeverityCounters();
+        this.eventLog = [];
+        this.contextBuffer = [];
+        this.openContexts = [];
+        this.rotationHistory = [];
         this.dataBuffer = [];
         this.accelerationHistory = [];
         this.motionHistory = [];
         this.baselineAcceleration = null;
+        this.fastGravity = null;
+        this.gravityTime = null;
+        this.shiftSince = null;
         this.lastGPSPoint = null;
+        this.gpsFilter.reset();
+        this.speedEstimator.reset();
+        this.currentSpeedLimit = this.speedLimits.default;
+        this.currentContext = 'default';
+        this.currentZone = null;
+        this.speedingEpisode = null;
+        this.unreportedEpisodes = [];
+        this.speedingExposure = this.createSpeedingExposure();
+        this.lastSpeedFix = null;
         this.lastEventTime = {};
+        this.lastRecordTime = 0;
+        this.movementState.reset();
         this.isVehicleMoving = false;
         this.movementConfidence = 0;
     }
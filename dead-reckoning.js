@@ -0,0 +1,158 @@
+// Navegación por Estima - Monitor de Conducción ITSON v2.0
+// Velocidad durante pérdidas de GPS: integra la aceleración longitudinal desde la última velocidad buena
+
+class DeadReckoningEstimator {
+    constructor(options = {}) {
+        this.config = {
+            gpsTimeout: 3000,           // ms sin fijación para considerar perdido el GPS
+            maxStep: 200,               // ms máximos integrados entre dos muestras
+            accelNoise: 0.3,            // m/s² de ruido del acelerómetro (caminata aleatoria en velocidad)
+            biasStd: 0.05,              // m/s² de incertidumbre del sesgo estimado
+            biasLearningRate: 0.1,      // peso de cada comparación con el GPS
+            maxBias: 1.0,               // m/s²: comparaciones mayores se descartan
+            zuptWindow: 1500,           // ms de quietud para fijar velocidad cero
+            zuptMaxSpeed: 15 / 3.6,     // m/s: no se frena de golpe desde velocidad alta
+            yawLimit: 5,                // °/s máximos de guiñada para considerar el vehículo quieto
+            ...options
+        };
+
+        this.reset();
+    }
+
+    reset() {
+        this.speed = null;              // m/s
+        this.anchor = null;             // { time, variance, source: 'gps' | 'zupt' }
+        this.lastGPSTime = null;
+        this.lastSampleTime = null;
+        this.bias = 0;
+        this.biasIntegral = { velocity: 0, time: 0, gpsSpeed: null };
+        this.stillSamples = [];
+        this.method = 'none';
+        this.pendingCorrection = null;
+    }
+
+    // ¿Hay GPS reciente? null = nunca se han visto fijaciones
+    isGPSFresh(time) {
+        if (this.lastGPSTime === null) return null;
+        return time - this.lastGPSTime <= this.config.gpsTimeout;
+    }
+
+    // Fijación GPS aceptada: vuelve a anclar la velocidad y afina el sesgo
+    updateGPS(time, speedKmh, speedStdKmh = 1) {
+        if (!Number.isFinite(speedKmh)) return;
+
+        const speed = speedKmh / 3.6;
+        const wasLost = this.lastGPSTime !== null && !this.isGPSFresh(time);
+
+        // Error acumulado durante la pérdida (documenta la deriva)
+        if (wasLost && this.speed !== null && this.method === 'dead_reckoning') {
+            this.pendingCorrection = {
+                error_kmh: (this.speed - speed) * 3.6,
+                duracion_seg: (time - this.lastGPSTime) / 1000
+            };
+            Utils.log('info', 'Velocidad re-anclada al GPS', this.pendingCorrection);
+        }
+
+        // Sesgo: lo que integró el acelerómetro contra el cambio real de velocidad
+        const integral = this.biasIntegral;
+        if (!wasLost && integral.gpsSpeed !== null && integral.time > 0.5) {
+            const observed = (integral.velocity - (speed - integral.gpsSpeed)) / integral.time;
+            if (Math.abs(observed) < this.config.maxBias) {
+                this.bias += this.config.biasLearningRate * (observed - this.bias);
+            }
+        }
+        this.biasIntegral = { velocity: 0, time: 0, gpsSpeed: speed };
+
+        this.speed = speed;
+        this.anchor = { time, variance: (speedStdKmh / 3.6) ** 2, source: 'gps' };
+        this.lastGPSTime = time;
+        this.method = 'gps';
+    }
+
+    // Muestra del acelerómetro (antes del control de frecuencia)
+    addAcceleration(time, longitudinal, magnitude = null, noise = 0.5, yawRate = null) {
+        const dt = this.lastSampleTime !== null
+            ? Math.min(time - this.lastSampleTime, this.config.maxStep) / 1000
+            : 0;
+        this.lastSampleTime = time;
+        if (dt <= 0 || !Number.isFinite(longitudinal)) return;
+
+        const corrected = longitudinal - this.bias;
+
+        // Con GPS: solo se acumula para estimar el sesgo
+        if (this.isGPSFresh(time)) {
+            this.biasIntegral.velocity += longitudinal * dt;
+            this.biasIntegral.time += dt;
+            return;
+        }
+
+        // Corrección de velocidad cero: vehículo quieto (vibración al nivel del ruido y sin giro)
+        if (this.isStationary(time, corrected, magnitude, noise, yawRate)) {
+            this.speed = 0;
+            this.anchor = { time, variance: 0.1 ** 2, source: 'zupt' };
+            this.method = 'zupt';
+            return;
+        }
+
+        if (this.speed === null) return;
+
+        this.speed = Math.max(0, this.speed + corrected * dt);
+        this.method = 'dead_reckoning';
+    }
+
+    isStationary(time, longitudinal, magnitude, noise, yawRate) {
+        if (magnitude === null) return false;
+
+        this.stillSamples.push({ time, longitudinal, magnitude });
+        while (this.stillSamples.length > 0 && time - this.stillSamples[0].time > this.config.zuptWindow) {
+            this.stillSamples.shift();
+        }
+
+        if (yawRate !== null && Math.abs(yawRate) > this.config.yawLimit) return false;
+        if (this.speed !== null && this.speed > this.config.zuptMaxSpeed) return false;
+
+        // Ventana completa sin aceleración longitudinal y con la magnitud al nivel del ruido del dispositivo
+        const window = this.stillSamples;
+        if (window.length < 5 || window[window.length - 1].time - window[0].time < this.config.zuptWindow * 0.9) {
+            return false;
+        }
+
+        const meanLongitudinal = window.reduce((sum, s) => sum + s.longitudinal, 0) / window.length;
+        const mean = window.reduce((sum, s) => sum + s.magnitude, 0) / window.length;
+        const std = Math.sqrt(window.reduce((sum, s) => sum + (s.magnitude - mean) ** 2, 0) / window.length);
+        return Math.abs(meanLongitudinal) < noise && std < noise;
+    }
+
+    // Incertidumbre: la del ancla + ruido integrado + error de sesgo que crece con el tiempo
+    getUncertainty(time) {
+        if (!this.anchor) return null;
+
+        const elapsed = Math.max(0, (time - this.anchor.time) / 1000);
+        const variance = this.anchor.variance +
+            this.config.accelNoise ** 2 * elapsed +
+            (this.config.biasStd * elapsed) ** 2;
+        return Math.sqrt(variance);
+    }
+
+    getEstimate(time) {
+        const correction = this.pendingCorrection;
+        this.pendingCorrection = null;
+
+        if (this.speed === null) {
+            return { method: 'none', speed_kmh: null, uncertainty_kmh: null, outage_sec: null, correction: null };
+        }
+
+        const gpsFresh = this.isGPSFresh(time);
+        return {
+            method: this.method,
+            speed_kmh: this.speed * 3.6,
+            uncertainty_kmh: this.getUncertainty(time) * 3.6,
+            outage_sec: gpsFresh === false ? (time - this.lastGPSTime) / 1000 : 0,
+            bias: this.bias,
+            correction: correction
+        };
+    }
+}
+
+// Exportar para uso global
+window.DeadReckoningEstimator = DeadReckoningEstimator;
@@ -0,0 +1,313 @@
+// Evaluador de Detección - Monitor de Conducción ITSON v2.0
+// Compara eventos detectados contra etiquetas reales (precisión, recall, F1)
+
+class DetectionEvaluator {
+    constructor(options = {}) {
+        // Segundos de margen alrededor de la ventana etiquetada
+        this.tolerance = options.tolerance ?? 2;
+
+        // Umbrales a evaluar (null = los del DataProcessor)
+        this.thresholds = options.thresholds || null;
+
+        // Mapa de zonas de velocidad (null = límite por defecto)
+        this.speedZones = options.speedZones || null;
+
+        // Configuración de análisis de la app (DataProcessor.configureAnalysis)
+        this.analysis = options.analysis || null;
+        this.usedThresholds = null;
+    }
+
+    static get EVENT_TYPES() {
+        return ['harsh_acceleration', 'harsh_braking', 'aggressive_turn', 'speeding'];
+    }
+
+    static get SEVERITIES() {
+        return ['low', 'moderate', 'high', 'extreme'];
+    }
+
+    // === CARGA DE ETIQUETAS ===
+
+    static async readLabelFile(file) {
+        const text = await file.text();
+        return DetectionEvaluator.parseLabels(text);
+    }
+
+    // Acepta el archivo de ScenarioGenerator ({ etiquetas }) o un arreglo
+    static parseLabels(text) {
+        const parsed = typeof text === 'string' ? JSON.parse(text) : text;
+        const labels = Array.isArray(parsed) ? parsed : parsed?.etiquetas;
+
+        if (!Array.isArray(labels)) {
+            throw new Error('El archivo no contiene etiquetas');
+        }
+
+        return labels
+            .filter(label => label && label.type && !Number.isNaN(Date.parse(label.start)))
+            .map(label => ({
+                ...label,
+                end: label.end || label.start
+            }));
+    }
+
+    // Condiciones del escenario (p. ej. pérdidas de GPS); los archivos sin ellas devuelven []
+    static parseConditions(text) {
+        const parsed = typeof text === 'string' ? JSON.parse(text) : text;
+        const conditions = Array.isArray(parsed) ? null : parsed?.condiciones;
+
+        return (conditions || [])
+            .filter(condition => condition && condition.type && !Number.isNaN(Date.parse(condition.start)));
+    }
+
+    // === EVALUACIÓN ===
+
+    evaluate(records, labels, conditions = []) {
+        const processed = [];
+        const detections = this.runDetector(records, processed);
+        const matches = this.match(detections, labels);
+
+        return {
+            fecha_evaluacion: new Date().toISOString(),
+            tolerancia_seg: this.tolerance,
+            umbrales: this.usedThresholds,
+            total_registros: records.length,
+            total_etiquetas: labels.length,
+            total_detecciones: detections.length,
+            por_tipo: this.summarizeByType(matches),
+            por_severidad: this.summarizeBySeverity(matches),
+            emparejamientos: matches.pairs.map(pair => ({
+                type: pair.label.type,
+                etiqueta_inicio: pair.label.start,
+                deteccion: pair.detection.timestamp,
+                desfase_seg: pair.offset,
+                severidad_etiqueta: pair.label.severity || null,
+                severidad_detectada: pair.detection.severity
+            })),
+            no_detectados: matches.missed,
+            falsos_positivos: matches.falsePositives,
+            condiciones: this.checkConditions(processed, conditions)
+        };
+    }
+
+    // Procesar la sesión con un DataProcessor nuevo y guardar cada evento (y los registros procesados)
+    runDetector(records, processed = []) {
+        const processor = new DataProcessor();
+        if (this.thresholds) {
+            processor.setThresholds(this.thresholds);
+        }
+        if (this.speedZones) {
+            processor.setSpeedZones(this.speedZones);
+        }
+        if (this.analysis) {
+            processor.configureAnalysis(this.analysis);
+        }
+        this.usedThresholds = { ...processor.thresholds };
+
+        const detections = [];
+        processor.addEventListener('drivingEvent', ({ event }) => {
+            detections.push({ ...event });
+        });
+
+        [...records]
+            .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp))
+            .forEach(record => {
+                const result = processor.processDataPoint({ ...record });
+                if (result) processed.push(result.processed);
+            });
+
+        return detections;
+    }
+
+    // Estado de movimiento dentro de cada condición: en una pérdida de GPS en marcha no debe haber detenciones
+    checkConditions(processed, conditions) {
+        return conditions.map(condition => {
+            const start = Date.parse(condition.start);
+            const end = Date.parse(condition.end);
+            const inside = processed.filter(record => {
+                const time = Date.parse(record.timestamp);
+                return time >= start && time <= end;
+            });
+            const stopped = inside.filter(record => record.movement_state === 'stopped').length;
+
+            return {
+                type: condition.type,
+                start: condition.start,
+                end: condition.end,
+                registros: inside.length,
+                en_movimiento_pct: inside.length > 0
+                    ? Number((inside.filter(record => record.vehicle_moving).length / inside.length * 100).toFixed(1))
+                    : null,
+                registros_detenido: stopped,
+                esperado_en_movimiento: condition.expected_moving ?? null,
+                cumple: condition.expected_moving ? stopped === 0 : null
+            };
+        });
+    }
+
+    // Emparejar cada etiqueta con la detección más cercana del mismo tipo
+    match(detections, labels) {
+        const toleranceMs = this.tolerance * 1000;
+        const used = new Set();
+        const pairs = [];
+        const missed = [];
+
+        const sortedLabels = [...labels].sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+
+        sortedLabels.forEach(label => {
+            const start = Date.parse(label.start);
+            const end = Date.parse(label.end);
+            let best = null;
+
+            detections.forEach((detection, i) => {
+                if (used.has(i) || detection.type !== label.type) return;
+
+                const time = Date.parse(detection.timestamp);
+                if (time < start - toleranceMs || time > end + toleranceMs) return;
+
+                const distance = Math.abs(time - start);
+                if (!best || distance < best.distance) {
+                    best = { index: i, distance };
+                }
+            });
+
+            if (best) {
+                used.add(best.index);
+                const detection = detections[best.index];
+                pairs.push({
+                    label,
+                    detection,
+                    offset: Number(((Date.parse(detection.timestamp) - start) / 1000).toFixed(2))
+                });
+            } else {
+                missed.push(label);
+            }
+        });
+
+        // Repeticiones dentro de una ventana ya emparejada (p. ej. exceso de velocidad
+        // prolongado) no cuentan como falsos positivos
+        const duplicates = [];
+        const falsePositives = [];
+
+        detections.forEach((detection, i) => {
+            if (used.has(i)) return;
+
+            const time = Date.parse(detection.timestamp);
+            const insideMatched = pairs.some(pair =>
+                pair.label.type === detection.type &&
+                time >= Date.parse(pair.label.start) - toleranceMs &&
+                time <= Date.parse(pair.label.end) + toleranceMs
+            );
+
+            (insideMatched ? duplicates : falsePositives).push(detection);
+        });
+
+        return { pairs, missed, duplicates, falsePositives };
+    }
+
+    summarizeByType(matches) {
+        const types = new Set(DetectionEvaluator.EVENT_TYPES);
+        matches.pairs.forEach(pair => types.add(pair.label.type));
+        matches.missed.forEach(label => types.add(label.type));
+
+        const summary = {};
+
+        types.forEach(type => {
+            const pairs = matches.pairs.filter(pair => pair.label.type === type);
+            const offsets = pairs.map(pair => pair.offset);
+
+            summary[type] = {
+                ...DetectionEvaluator.computeMetrics(
+                    pairs.length,
+                    matches.falsePositives.filter(d => d.type === type).length,
+                    matches.missed.filter(l => l.type === type).length
+                ),
+                repetidos: matches.duplicates.filter(d => d.type === type).length,
+                severidad_coincide: pairs.filter(pair => pair.label.severity === pair.detection.severity).length,
+                desfase_seg: DetectionEvaluator.describeOffsets(offsets)
+            };
+        });
+
+        return summary;
+    }
+
+    // Recall por severidad etiquetada, precisión por severidad detectada
+    summarizeBySeverity(matches) {
+        const summary = {};
+
+        DetectionEvaluator.SEVERITIES.forEach(severity => {
+            const labeledTP = matches.pairs.filter(pair => pair.label.severity === severity).length;
+            const labeledFN = matches.missed.filter(label => label.severity === severity).length;
+            const detectedTP = matches.pairs.filter(pair => pair.detection.severity === severity).length;
+            const detectedFP = matches.falsePositives.filter(d => d.severity === severity).length;
+
+            const recall = labeledTP + labeledFN > 0 ? labeledTP / (labeledTP + labeledFN) : null;
+            const precision = detectedTP + detectedFP > 0 ? detectedTP / (detectedTP + detectedFP) : null;
+
+            summary[severity] = {
+                etiquetas: labeledTP + labeledFN,
+                detecciones: detectedTP + detectedFP,
+                precision: DetectionEvaluator.round(precision),
+                recall: DetectionEvaluator.round(recall),
+                f1: DetectionEvaluator.round(DetectionEvaluator.f1(precision, recall))
+            };
+        });
+
+        return summary;
+    }
+
+    // === MÉTRICAS ===
+
+    static computeMetrics(tp, fp, fn) {
+        const precision = tp + fp > 0 ? tp / (tp + fp) : null;
+        const recall = tp + fn > 0 ? tp / (tp + fn) : null;
+
+        return {
+            verdaderos_positivos: tp,
+            falsos_positivos: fp,
+            falsos_negativos: fn,
+            precision: DetectionEvaluator.round(precision),
+            recall: DetectionEvaluator.round(recall),
+            f1: DetectionEvaluator.round(DetectionEvaluator.f1(precision, recall))
+        };
+    }
+
+    static f1(precision, recall) {
+        if (precision === null || recall === null || precision + recall === 0) return null;
+        return 2 * precision * recall / (precision + recall);
+    }
+
+    static describeOffsets(offsets) {
+        if (offsets.length === 0) return null;
+
+        const mean = offsets.reduce((sum, o) => sum + o, 0) / offsets.length;
+        return {
+            promedio: DetectionEvaluator.round(mean),
+            promedio_absoluto: DetectionEvaluator.round(offsets.reduce((sum, o) => sum + Math.abs(o), 0) / offsets.length),
+            minimo: Math.min(...offsets),
+            maximo: Math.max(...offsets)
+        };
+    }
+
+    static round(value) {
+        return value === null ? null : Number(value.toFixed(3));
+    }
+
+    // Tabla legible para la consola
+    static formatReport(report) {
+        const rows = {};
+        Object.entries(report.por_tipo).forEach(([type, m]) => {
+            rows[type] = {
+                VP: m.verdaderos_positivos,
+                FP: m.falsos_positivos,
+                FN: m.falsos_negativos,
+                precision: m.precision ?? '-',
+                recall: m.recall ?? '-',
+                F1: m.f1 ?? '-',
+                'desfase (s)': m.desfase_seg ? m.desfase_seg.promedio : '-'
+            };
+        });
+        return rows;
+    }
+}
+
+// Exportar para uso global
+window.DetectionEvaluator = DetectionEvaluator;
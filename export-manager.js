@@ -4,6 +4,7 @@
 class ExportManager {
     constructor() {
         this.dataProcessor = null; // Se asignará desde la app principal
+        this.rawMotionRecorder = null;
         this.alertManager = new AlertManager();
     }
 
@@ -11,15 +12,20 @@ class ExportManager {
         this.dataProcessor = processor;
     }
 
+    setRawMotionRecorder(recorder) {
+        this.rawMotionRecorder = recorder;
+    }
+
     // Exportar en formato JSON (datos completos)
-    async exportJSON(data, participantId, groupType = 'unknown') {
+    async exportJSON(data, participantId, groupType = 'unknown', session = null) {
         try {
             if (!data || data.length === 0) {
                 throw new Error('No hay datos para exportar');
             }
 
-            const exportData = this.generateCompleteExport(data, participantId, groupType);
-            const filename = this.generateFilename(participantId, 'json');
+            const rawMotion = await this.loadRawMotion(data, session);
+            const exportData = this.generateCompleteExport(data, participantId, groupType, session, rawMotion);
+            const filename = this.generateFilename(participantId, 'json', '', this.getSessionId(data, session));
             
             this.downloadFile(
                 JSON.stringify(exportData, null, 2),
@@ -40,16 +46,55 @@ class ExportManager {
     }
 
     // Exportar en formato CSV (para análisis estadístico)
-    async exportCSV(data, participantId, groupType = 'unknown') {
+    async exportCSV(data, participantId, groupType = 'unknown', session = null) {
         try {
             if (!data || data.length === 0) {
                 throw new Error('No hay datos para exportar');
             }
 
             const csvContent = this.generateCSV(data, participantId, groupType);
-            const filename = this.generateFilename(participantId, 'csv');
+            const filename = this.generateFilename(participantId, 'csv', '', this.getSessionId(data, session));
             
             this.downloadFile(csvContent, filename, 'text/csv');
+            
+            // Tabla de eventos como archivo aparte (una fila por evento)
+            const events = this.getEvents();
+            if (events.length > 0) {
+                this.downloadFile(
+                    this.generateEventsCSV(events, participantId, groupType),
+                    this.generateFilename(participantId, 'csv', 'eventos', this.getSessionId(data, session)),
+                    'text/csv'
+                );
+            }
+            
+            // Tramos de la sesión (una fila por tramo) para comparar ida y vuelta
+            const segments = this.dataProcessor?.summarizeSegments(data).segments || [];
+            if (segments.length > 0) {
+                this.downloadFile(
+                    this.generateSegmentsCSV(segments, participantId, groupType, this.getSessionId(data, session)),
+                    this.generateFilename(participantId, 'csv', 'segmentos', this.getSessionId(data, session)),
+                    'text/csv'
+                );
+            }
+            
+            // Canal crudo de movimiento a la tasa del dispositivo
+            const rawMotion = await this.loadRawMotion(data, session);
+            if (rawMotion.length > 0) {
+                this.downloadFile(
+                    RawMotionRecorder.toCSV(rawMotion),
+                    this.generateFilename(participantId, 'csv', 'crudo', this.getSessionId(data, session)),
+                    'text/csv'
+                );
+            }
+            
+            // Muestras alrededor de cada evento (formato largo: una fila por muestra)
+            if (events.some(event => event.contexto)) {
+                this.downloadFile(
+                    this.generateEventContextCSV(events),
+                    this.generateFilename(participantId, 'csv', 'contexto', this.getSessionId(data, session)),
+                    'text/csv'
+                );
+            }
 
             this.alertManager.success('✅ Datos exportados en formato CSV');
             Utils.log('info', `Datos CSV exportados: ${filename}`);
@@ -64,7 +109,7 @@ class ExportManager {
     }
 
     // Exportar estadísticas resumidas
-    async exportStatistics(data, participantId, groupType = 'unknown') {
+    async exportStatistics(data, participantId, groupType = 'unknown', session = null) {
         try {
             if (!data || data.length === 0) {
                 throw new Error('No hay datos para exportar');
@@ -78,15 +123,18 @@ class ExportManager {
                 participante: participantId,
                 grupo: groupType,
                 fecha: Utils.formatDateTime().date,
+                sesion: this.describeSession(data, session),
                 estadisticas: stats,
                 configuracion: {
                     umbrales: this.dataProcessor?.thresholds || {},
+                    puntuacion_riesgo: this.dataProcessor?.riskScorer.config || null,
+                    segmentacion: this.dataProcessor?.tripSegmenter.config || null,
                     version: '2.0.0',
                     experimento: 'Patrones Conducción Agresiva ITSON'
                 }
             };
 
-            const filename = this.generateFilename(participantId, 'json', 'stats');
+            const filename = this.generateFilename(participantId, 'json', 'stats', this.getSessionId(data, session));
             
             this.downloadFile(
                 JSON.stringify(exportData, null, 2),
@@ -107,7 +155,7 @@ class ExportManager {
     }
 
     // Generar exportación completa
-    generateCompleteExport(data, participantId, groupType) {
+    generateCompleteExport(data, participantId, groupType, session = null, rawMotion = []) {
         const now = Utils.formatDateTime();
         const deviceInfo = Utils.getDeviceInfo();
         
@@ -125,16 +173,36 @@ class ExportManager {
             participante: {
                 id: participantId,
                 grupo: groupType,
-                fecha_sesion: now.date,
+                fecha_sesion: session?.fecha || now.date,
                 duracion_sesion_min: this.calculateSessionDuration(data)
             },
 
+            // Sesión de grabación
+            sesion: this.describeSession(data, session),
+
             // Configuración técnica
             configuracion: {
                 umbrales_deteccion: this.dataProcessor?.thresholds || {},
                 frecuencia_muestreo: this.calculateSamplingRate(data),
                 dispositivo: deviceInfo,
-                sensores_utilizados: ['GPS', 'Acelerómetro']
+                sensores_utilizados: ['GPS', 'Acelerómetro', 'Giroscopio', 'Orientación'],
+                alineacion_marco: session?.alineacion_marco || null,
+                perfil_ruido: session?.perfil_ruido || null,
+                zonas_velocidad: session?.zonas_velocidad || null,
+                cambios_montaje: session?.cambios_montaje || [],
+                filtro_gps: {
+                    metodo: 'Kalman velocidad constante + aceleración longitudinal',
+                    fijaciones_atipicas_en_registros: data.filter(d => d.gps_outlier).length,
+                    conteos: session?.filtro_gps || null,
+                    nota: 'lat/lon/velocidad filtradas; lecturas originales en lat_raw/lon_raw/velocidad_raw'
+                },
+                movimiento_crudo: {
+                    ...RawMotionRecorder.describe(rawMotion),
+                    archivo_csv: rawMotion.length > 0
+                        ? this.generateFilename(participantId, 'csv', 'crudo', this.getSessionId(data, session))
+                        : null,
+                    nota: 'Cada muestra de devicemotion; los registros de datos_raw están limitados a 1 cada 1.5 s'
+                }
             },
 
             // Estadísticas de la sesión
@@ -162,6 +230,8 @@ class ExportManager {
         const headers = [
             'participante_id',
             'grupo',
+            'sesion_id',
+            'registro_id',
             'timestamp',
             'fecha_iso',
             'tiempo_sesion_seg',
@@ -179,23 +249,51 @@ class ExportManager {
             'evento_exceso_velocidad',
             'contexto_conduccion',
             'limite_velocidad',
-            'exceso_velocidad_kmh'
+            'exceso_velocidad_kmh',
+            'aceleracion_lineal_x',
+            'aceleracion_lineal_y',
+            'aceleracion_lineal_z',
+            'rotacion_alpha',
+            'rotacion_beta',
+            'rotacion_gamma',
+            'orientacion_alpha',
+            'orientacion_beta',
+            'orientacion_gamma',
+            'velocidad_guinada',
+            'marco_vehiculo',
+            'tipo_registro',
+            'latitud_cruda',
+            'longitud_cruda',
+            'velocidad_cruda_kmh',
+            'precision_gps_m',
+            'rumbo_gps',
+            'gps_atipico',
+            'incertidumbre_posicion_m',
+            'incertidumbre_velocidad_kmh',
+            'metodo_velocidad',
+            'segundos_sin_gps',
+            'error_estima_kmh',
+            'estado_movimiento',
+            'detenido_desde'
         ];
 
         let csvContent = headers.join(',') + '\n';
         
         const startTime = data.length > 0 ? new Date(data[0].timestamp) : new Date();
+        const eventsByRecord = this.indexEventsByRecord(this.getEvents());
 
-        data.forEach((row, index) => {
+        data.forEach((row) => {
             const timestamp = new Date(row.timestamp);
             const sessionTime = Math.round((timestamp - startTime) / 1000);
             
-            // Detectar eventos para esta fila
-            const events = this.detectEventsForRow(row, data, index);
+            // Eventos detectados en tiempo real para esta fila
+            const events = eventsByRecord.get(row.record_id) || new Set();
             
             const csvRow = [
                 participantId,
                 groupType,
+                row.session_id || '',
+                row.record_id || '',
                 row.timestamp,
                 timestamp.toISOString().split('T')[0],
                 sessionTime,
@@ -207,54 +305,252 @@ class ExportManager {
                 row.z || '',
                 row.acceleration_magnitude || this.calculateMagnitude(row),
                 row.longitudinal_acceleration || '',
-                events.harsh_acceleration ? 1 : 0,
-                events.harsh_braking ? 1 : 0,
-                events.aggressive_turn ? 1 : 0,
-                events.speeding ? 1 : 0,
-                row.driving_context || 'urban',
-                row.speed_limit || 50,
-                Math.max(0, (row.velocidad || 0) - (row.speed_limit || 50))
+                events.has('harsh_acceleration') ? 1 : 0,
+                events.has('harsh_braking') ? 1 : 0,
+                events.has('aggressive_turn') ? 1 : 0,
+                events.has('speeding') ? 1 : 0,
+                row.driving_context || '',
+                row.speed_limit ?? '',
+                row.speed_limit !== undefined ? Math.max(0, (row.velocidad || 0) - row.speed_limit) : '',
+                row.lin_x ?? '',
+                row.lin_y ?? '',
+                row.lin_z ?? '',
+                row.rot_alpha ?? '',
+                row.rot_beta ?? '',
+                row.rot_gamma ?? '',
+                row.orient_alpha ?? '',
+                row.orient_beta ?? '',
+                row.orient_gamma ?? '',
+                row.yaw_rate ?? '',
+                row.frame_aligned ? 1 : 0,
+                row.type || '',
+                row.lat_raw ?? '',
+                row.lon_raw ?? '',
+                row.velocidad_raw ?? '',
+                row.accuracy ?? '',
+                row.heading ?? '',
+                row.gps_outlier ? 1 : 0,
+                row.position_uncertainty ?? '',
+                row.speed_uncertainty ?? '',
+                row.speed_method || '',
+                row.gps_outage_sec ?? '',
+                row.dead_reckoning_error ?? '',
+                row.movement_state || '',
+                row.stop_started || ''
             ];
 
-            csvContent += csvRow.map(field => 
-                typeof field === 'string' && field.includes(',') ? `"${field}"` : field
-            ).join(',') + '\n';
+            csvContent += this.formatCSVRow(csvRow);
         });
 
         return csvContent;
     }
 
-    // Detectar eventos para una fila específica (simplificado para CSV)
-    detectEventsForRow(row, allData, index) {
-        const events = {
-            harsh_acceleration: false,
-            harsh_braking: false,
-            aggressive_turn: false,
-            speeding: false
-        };
+    // Tabla de eventos detectados (enlazada a los registros por registro_id)
+    generateEventsCSV(events, participantId, groupType) {
+        const headers = [
+            'evento_id',
+            'registro_id',
+            'participante_id',
+            'grupo',
+            'sesion_id',
+            'timestamp',
+            'tipo',
+            'severidad',
+            'valor',
+            'direccion',
+            'metodo',
+            'confianza',
+            'latitud',
+            'longitud',
+            'velocidad_kmh',
+            'limite_velocidad',
+            'metodo_giro',
+            'velocidad_guinada',
+            // Episodios de exceso de velocidad (vacío en los demás eventos)
+            'inicio_episodio',
+            'fin_episodio',
+            'duracion_seg',
+            'distancia_m',
+            'exceso_max',
+            'exceso_promedio'
+        ];
 
-        // Aceleración longitudinal
-        if (row.longitudinal_acceleration) {
-            if (row.longitudinal_acceleration > 2.5) {
-                events.harsh_acceleration = true;
-            }
-            if (row.longitudinal_acceleration < -2.5) {
-                events.harsh_braking = true;
-            }
-        }
+        let csvContent = headers.join(',') + '\n';
 
-        // Giro agresivo (lateral)
-        if (row.x && Math.abs(row.x) > 4.0) {
-            events.aggressive_turn = true;
-        }
+        events.forEach(event => {
+            csvContent += this.formatCSVRow([
+                event.id,
+                event.record_id || '',
+                participantId,
+                groupType,
+                event.session_id || '',
+                event.timestamp,
+                event.type,
+                event.severity || '',
+                typeof event.value === 'number' ? event.value.toFixed(3) : '',
+                event.direction || '',
+                event.method || '',
+                event.confidence ?? '',
+                event.location?.lat || '',
+                event.location?.lon || '',
+                event.speed || '',
+                event.limit || '',
+                event.turn_method || '',
+                event.yaw_rate ?? '',
+                event.start || '',
+                event.end || '',
+                event.duration_sec ?? '',
+                event.distance_m ?? '',
+                event.peak_excess ?? '',
+                event.mean_excess ?? ''
+            ]);
+        });
 
-        // Exceso de velocidad
-        const speedLimit = row.speed_limit || 50;
-        if (row.velocidad && row.velocidad > speedLimit + 15) {
-            events.speeding = true;
-        }
+        return csvContent;
+    }
 
-        return events;
+    // Un tramo por fila (DataProcessor.summarizeSegments)
+    generateSegmentsCSV(segments, participantId, groupType, sessionId = null) {
+        const headers = [
+            'participante_id',
+            'grupo',
+            'sesion_id',
+            'tramo',
+            'inicio',
+            'fin',
+            'duracion_min',
+            'tiempo_movimiento_min',
+            'distancia_km',
+            'velocidad_promedio',
+            'velocidad_maxima',
+            'velocidad_desv_std',
+            'velocidad_mediana',
+            'velocidad_p85',
+            'pct_menos_30',
+            'pct_30_60',
+            'pct_60_90',
+            'pct_mas_90',
+            'eventos_total',
+            'aceleraciones_bruscas',
+            'frenados_bruscos',
+            'giros_agresivos',
+            'excesos_velocidad',
+            'eventos_por_km',
+            'pct_tiempo_sobre_limite',
+            'puntuacion_riesgo',
+            'nivel_riesgo',
+            'termina_por',
+            'registros'
+        ];
+
+        let csvContent = headers.join(',') + '\n';
+
+        segments.forEach(segment => {
+            csvContent += this.formatCSVRow([
+                participantId,
+                groupType,
+                sessionId || '',
+                segment.segment,
+                segment.start,
+                segment.end,
+                segment.duration_minutes,
+                segment.moving_time_minutes,
+                segment.distance_km,
+                segment.average_speed,
+                segment.max_speed,
+                segment.speed_std,
+                segment.speed_profile.median_speed,
+                segment.speed_profile.p85_speed,
+                segment.speed_profile.percent_under_30,
+                segment.speed_profile.percent_30_60,
+                segment.speed_profile.percent_60_90,
+                segment.speed_profile.percent_over_90,
+                segment.events.total_events,
+                segment.events.harsh_acceleration,
+                segment.events.harsh_braking,
+                segment.events.aggressive_turns,
+                segment.events.speeding_events,
+                segment.events_per_km,
+                segment.percent_time_over_limit,
+                segment.risk_score,
+                segment.risk_level,
+                segment.ended_by || '',
+                segment.records
+            ]);
+        });
+
+        return csvContent;
+    }
+
+    // Ventanas pre/post de cada evento (offset_ms relativo al evento)
+    generateEventContextCSV(events) {
+        const headers = [
+            'evento_id',
+            'tipo_evento',
+            'fase',
+            'offset_ms',
+            'timestamp',
+            'tipo_registro',
+            'aceleracion_x',
+            'aceleracion_y',
+            'aceleracion_z',
+            'velocidad_kmh',
+            'rumbo',
+            'latitud',
+            'longitud',
+            'ventana_completa'
+        ];
+
+        let csvContent = headers.join(',') + '\n';
+
+        events.filter(event => event.contexto).forEach(event => {
+            ['pre', 'post'].forEach(phase => {
+                event.contexto[phase].forEach(sample => {
+                    csvContent += this.formatCSVRow([
+                        event.id,
+                        event.type,
+                        phase,
+                        sample.offset_ms,
+                        sample.timestamp,
+                        sample.type || '',
+                        sample.x ?? '',
+                        sample.y ?? '',
+                        sample.z ?? '',
+                        sample.velocidad ?? '',
+                        sample.heading ?? '',
+                        sample.lat ?? '',
+                        sample.lon ?? '',
+                        event.contexto.completo ? 1 : 0
+                    ]);
+                });
+            });
+        });
+
+        return csvContent;
+    }
+
+    formatCSVRow(fields) {
+        return fields.map(field => 
+            typeof field === 'string' && field.includes(',') ? `"${field}"` : field
+        ).join(',') + '\n';
+    }
+
+    // Eventos de la sesión actual (línea de tiempo del DataProcessor)
+    getEvents() {
+        return this.dataProcessor ? this.dataProcessor.getEventLog() : [];
+    }
+
+    // record_id → tipos de evento disparados por ese registro
+    indexEventsByRecord(events) {
+        const index = new Map();
+        events.forEach(event => {
+            if (!event.record_id) return;
+            if (!index.has(event.record_id)) {
+                index.set(event.record_id, new Set());
+            }
+            index.get(event.record_id).add(event.type);
+        });
+        return index;
     }
 
     // Calcular magnitud de aceleración
@@ -306,19 +602,25 @@ class ExportManager {
         return `${(1000 / avgInterval).toFixed(1)} Hz`;
     }
 
-    // Extraer eventos detectados
+    // Extraer eventos detectados (totales + línea de tiempo completa)
     extractEvents(data) {
-        // Esta función requiere que DataProcessor haya procesado los datos
-        // Por simplicidad, retornamos un resumen básico
+        const events = this.getEvents();
+
         return {
             nota: "Eventos extraídos del análisis en tiempo real",
             eventos_por_tipo: this.dataProcessor?.getCurrentCounters() || {},
-            total_eventos: Object.values(this.dataProcessor?.getCurrentCounters() || {}).reduce((a, b) => a + b, 0)
+            eventos_por_severidad: this.dataProcessor?.getSeverityCounters() || {},
+            total_eventos: Object.values(this.dataProcessor?.getCurrentCounters() || {}).reduce((a, b) => a + b, 0),
+            eventos: events
         };
     }
 
     // Evaluar calidad de los datos
     assessDataQuality(data) {
+        // Los huecos no son lecturas: se reportan aparte
+        const gaps = this.summarizeGaps(data);
+        data = data.filter(d => d.type !== 'gap');
+        
         const totalRecords = data.length;
         const validGPS = data.filter(d => d.lat && d.lon).length;
         const validAccel = data.filter(d => d.x !== undefined && d.y !== undefined && d.z !== undefined).length;
@@ -329,8 +631,31 @@ class ExportManager {
             gps_completitud: ((validGPS / totalRecords) * 100).toFixed(1) + '%',
             acelerometro_completitud: ((validAccel / totalRecords) * 100).toFixed(1) + '%',
             velocidad_completitud: ((validSpeed / totalRecords) * 100).toFixed(1) + '%',
+            huecos: gaps,
             calidad_general: this.calculateOverallQuality(validGPS, validAccel, totalRecords),
-            recomendaciones: this.generateQualityRecommendations(validGPS, validAccel, totalRecords)
+            recomendaciones: this.generateQualityRecommendations(validGPS, validAccel, totalRecords, gaps)
+        };
+    }
+
+    // Cantidad y duración de los huecos, por motivo (interrupción de la app o sensor caído)
+    summarizeGaps(data) {
+        const gapRecords = data.filter(d => d.type === 'gap');
+        const byReason = {};
+        
+        gapRecords.forEach(gap => {
+            const reason = gap.gap_reason || 'desconocido';
+            if (!byReason[reason]) {
+                byReason[reason] = { cantidad: 0, duracion_seg: 0, maximo_seg: 0 };
+            }
+            byReason[reason].cantidad++;
+            byReason[reason].duracion_seg += gap.gap_duration_sec || 0;
+            byReason[reason].maximo_seg = Math.max(byReason[reason].maximo_seg, gap.gap_duration_sec || 0);
+        });
+        
+        return {
+            total: gapRecords.length,
+            duracion_total_seg: gapRecords.reduce((sum, gap) => sum + (gap.gap_duration_sec || 0), 0),
+            por_motivo: byReason
         };
     }
 
@@ -347,7 +672,7 @@ class ExportManager {
     }
 
     // Generar recomendaciones de calidad
-    generateQualityRecommendations(validGPS, validAccel, total) {
+    generateQualityRecommendations(validGPS, validAccel, total, gaps = null) {
         const recommendations = [];
         
         const gpsPercentage = (validGPS / total) * 100;
@@ -364,6 +689,10 @@ class ExportManager {
         if (total < 100) {
             recommendations.push('Sesión muy corta - extender tiempo de grabación');
         }
+        
+        if (gaps && gaps.total > 0) {
+            recommendations.push(`${gaps.total} huecos sin datos (${gaps.duracion_total_seg} s) - mantener la app en primer plano y la pantalla encendida`);
+        }
 
         if (recommendations.length === 0) {
             recommendations.push('Calidad de datos óptima para análisis');
@@ -388,11 +717,49 @@ class ExportManager {
         return (totalDistance / 1000).toFixed(2); // km
     }
 
-    // Generar nombre de archivo
-    generateFilename(participantId, extension, suffix = '') {
+    // Generar nombre de archivo (el ID de sesión ya incluye participante y fecha)
+    generateFilename(participantId, extension, suffix = '', sessionId = null) {
         const now = Utils.formatDateTime();
         const suffixPart = suffix ? `-${suffix}` : '';
-        return `${participantId}-${now.filename}-conduccion${suffixPart}.${extension}`;
+        const prefix = sessionId || `${participantId}-${now.filename}`;
+        return `${prefix}-conduccion${suffixPart}.${extension}`;
+    }
+
+    // ID de la sesión exportada (metadatos o primer registro)
+    getSessionId(data, session = null) {
+        if (session?.id) return session.id;
+        const withSession = data?.find(d => d.session_id);
+        return withSession ? withSession.session_id : null;
+    }
+
+    // Resumen de la sesión para los archivos exportados
+    describeSession(data, session = null) {
+        return {
+            id: this.getSessionId(data, session),
+            secuencia: session?.secuencia || null,
+            inicio: session?.inicio || (data.length > 0 ? data[0].timestamp : null),
+            fin: session?.fin || (data.length > 0 ? data[data.length - 1].timestamp : null),
+            gps_deficiente: session?.gps_deficiente ?? null,
+            calidad_gps_inicio: session?.calidad_gps_inicio || null,
+            motivo_inicio: session?.motivo_inicio || null,
+            movimiento_desde: session?.movimiento_desde || null,
+            motivo_fin: session?.motivo_fin || null,
+            pausas_automaticas: session?.pausas_automaticas || [],
+            recortes_inactividad: session?.recortes_inactividad || []
+        };
+    }
+
+    // Bloques crudos de la sesión (las reproducciones no tienen)
+    async loadRawMotion(data, session = null) {
+        const sessionId = this.getSessionId(data, session);
+        if (!this.rawMotionRecorder || !sessionId || session?.reproduccion_de) return [];
+
+        try {
+            return await this.rawMotionRecorder.load(sessionId);
+        } catch (error) {
+            Utils.log('warn', 'No se pudo leer el movimiento crudo', error);
+            return [];
+        }
     }
 
     // Descargar archivo
@@ -413,7 +780,7 @@ class ExportManager {
     }
 
     // Generar reporte de exportación múltiple
-    async exportAll(data, participantId, groupType = 'unknown') {
+    async exportAll(data, participantId, groupType = 'unknown', session = null) {
         try {
             this.alertManager.info('📦 Generando exportación completa...');
             
@@ -426,21 +793,21 @@ class ExportManager {
 
             // Exportar JSON
             try {
-                results.json = await this.exportJSON(data, participantId, groupType);
+                results.json = await this.exportJSON(data, participantId, groupType, session);
             } catch (error) {
                 results.errors.push(`JSON: ${error.message}`);
             }
 
             // Exportar CSV
             try {
-                results.csv = await this.exportCSV(data, participantId, groupType);
+                results.csv = await this.exportCSV(data, participantId, groupType, session);
             } catch (error) {
                 results.errors.push(`CSV: ${error.message}`);
             }
 
             // Exportar estadísticas
             try {
-                results.stats = await this.exportStatistics(data, participantId, groupType);
+                results.stats = await this.exportStatistics(data, participantId, groupType, session);
             } catch (error) {
                 results.errors.push(`Stats: ${error.message}`);
             }
@@ -0,0 +1,246 @@
+// Filtro de Kalman GPS - Monitor de Conducción ITSON v2.0
+// Posición y velocidad suavizadas (velocidad constante + entrada del acelerómetro) con rechazo de saltos
+
+class GPSKalmanFilter {
+    constructor(options = {}) {
+        this.config = {
+            processNoise: 1.5,          // m/s² de aceleración no modelada (sin acelerómetro)
+            processNoiseWithAccel: 0.6, // m/s² cuando hay entrada del acelerómetro
+            speedNoise: 1.0,            // m/s de error de la velocidad reportada
+            stillSpeed: 0.5,            // m/s: velocidad reportada sin rumbo que se toma como detenido
+            minAccuracy: 3,             // m: precisión mínima usada como ruido de medición
+            maxSpeed: 55,               // m/s (~200 km/h): más rápido es físicamente imposible
+            gate: 13.8,                 // χ² 2 g.l. (99.9 %) para la innovación de posición
+            maxRejections: 3,           // rechazos seguidos antes de reiniciar en la nueva posición
+            maxGap: 30000,              // ms sin fijaciones: reiniciar el filtro
+            ...options
+        };
+
+        this.reset();
+    }
+
+    reset() {
+        this.origin = null;
+        this.state = null;          // { x: [p, v], y: [p, v] } en metros hacia el este / norte
+        this.covariance = null;     // { x: [[pp, pv], [vp, vv]], y: ... }
+        this.lastTime = null;
+        this.lastAccepted = null;   // última fijación cruda aceptada
+        this.rejections = 0;
+        this.accelSum = 0;
+        this.accelCount = 0;
+        this.counts = { fijaciones: 0, rechazadas: 0, reinicios: 0 };
+    }
+
+    // Aceleración longitudinal (m/s², marco del vehículo) entre fijaciones
+    addAcceleration(longitudinal) {
+        if (!Number.isFinite(longitudinal)) return;
+
+        this.accelSum += longitudinal;
+        this.accelCount++;
+    }
+
+    // fix: { time (ms), lat, lon, accuracy (m), speed (m/s|null), heading (°|null) }
+    update(fix) {
+        this.counts.fijaciones++;
+
+        if (!this.state || this.lastTime === null || fix.time - this.lastTime > this.config.maxGap) {
+            return this.initialize(fix, 'inicio');
+        }
+
+        const dt = (fix.time - this.lastTime) / 1000;
+        if (dt <= 0) return this.getEstimate(false);
+
+        const measured = this.project(fix.lat, fix.lon);
+        const accuracy = Math.max(fix.accuracy || this.config.minAccuracy * 10, this.config.minAccuracy);
+
+        // Salto imposible respecto a la última fijación aceptada (descontando la precisión de ambas)
+        const jump = this.lastAccepted
+            ? (Utils.calculateDistance(this.lastAccepted.lat, this.lastAccepted.lon, fix.lat, fix.lon) -
+                accuracy - this.lastAccepted.accuracy) / ((fix.time - this.lastAccepted.time) / 1000)
+            : 0;
+
+        this.predict(dt);
+        this.lastTime = fix.time;
+
+        const innovation = this.positionInnovation(measured, accuracy);
+        const rejected = jump > this.config.maxSpeed || innovation > this.config.gate;
+
+        if (rejected) {
+            this.counts.rechazadas++;
+            this.rejections++;
+            // Varios rechazos seguidos: el filtro es el que se perdió
+            if (this.rejections >= this.config.maxRejections) {
+                return this.initialize(fix, 'rechazos_consecutivos');
+            }
+            return this.getEstimate(true, jump > this.config.maxSpeed ? 'salto_imposible' : 'innovacion');
+        }
+
+        this.rejections = 0;
+        this.correctAxis('x', 0, measured.x, accuracy ** 2);
+        this.correctAxis('y', 0, measured.y, accuracy ** 2);
+
+        // Velocidad reportada por el receptor (si es plausible)
+        const velocity = this.reportedVelocity(fix);
+        if (velocity) {
+            const variance = this.config.speedNoise ** 2;
+            this.correctAxis('x', 1, velocity.x, variance);
+            this.correctAxis('y', 1, velocity.y, variance);
+        }
+
+        this.lastAccepted = { lat: fix.lat, lon: fix.lon, accuracy: accuracy, time: fix.time };
+        return this.getEstimate(false);
+    }
+
+    initialize(fix, reason) {
+        if (this.origin) {
+            this.counts.reinicios++;
+        } else {
+            this.origin = { lat: fix.lat, lon: fix.lon };
+        }
+
+        const position = this.project(fix.lat, fix.lon);
+        const accuracy = Math.max(fix.accuracy || this.config.minAccuracy * 10, this.config.minAccuracy);
+        this.state = null;          // la dirección anterior no vale tras un reinicio
+        const velocity = this.reportedVelocity(fix);
+        const speedVariance = velocity ? this.config.speedNoise ** 2 : 10 ** 2;
+
+        this.state = {
+            x: [position.x, velocity ? velocity.x : 0],
+            y: [position.y, velocity ? velocity.y : 0]
+        };
+        this.covariance = {
+            x: [[accuracy ** 2, 0], [0, speedVariance]],
+            y: [[accuracy ** 2, 0], [0, speedVariance]]
+        };
+
+        this.lastTime = fix.time;
+        this.lastAccepted = { lat: fix.lat, lon: fix.lon, accuracy: accuracy, time: fix.time };
+        this.rejections = 0;
+        this.accelSum = 0;
+        this.accelCount = 0;
+
+        const estimate = this.getEstimate(false);
+        estimate.reset = reason;
+        return estimate;
+    }
+
+    // Velocidad reportada en componentes este/norte, o null si no se puede usar.
+    // Sin rumbo (el navegador da heading null al estar quieto): una lectura ≈0 lleva la velocidad a cero
+    // y una mayor se aplica en la dirección que ya lleva el filtro
+    reportedVelocity(fix) {
+        if (!Number.isFinite(fix.speed) || fix.speed > this.config.maxSpeed) return null;
+
+        let heading = null;
+        if (Number.isFinite(fix.heading)) {
+            heading = fix.heading * Math.PI / 180;
+        } else if (fix.speed <= this.config.stillSpeed) {
+            return { x: 0, y: 0 };
+        } else if (this.state && Math.hypot(this.state.x[1], this.state.y[1]) > this.config.stillSpeed) {
+            heading = Math.atan2(this.state.x[1], this.state.y[1]);
+        }
+        if (heading === null) return null;
+
+        return { x: fix.speed * Math.sin(heading), y: fix.speed * Math.cos(heading) };
+    }
+
+    // Modelo de velocidad constante; la aceleración medida entra en la dirección de avance
+    predict(dt) {
+        const accel = this.accelCount > 0 ? this.accelSum / this.accelCount : null;
+        this.accelSum = 0;
+        this.accelCount = 0;
+
+        const speed = Math.hypot(this.state.x[1], this.state.y[1]);
+        const useAccel = accel !== null && speed > 1;
+        const input = {
+            x: useAccel ? accel * this.state.x[1] / speed : 0,
+            y: useAccel ? accel * this.state.y[1] / speed : 0
+        };
+        const q = (useAccel ? this.config.processNoiseWithAccel : this.config.processNoise) ** 2;
+
+        ['x', 'y'].forEach(axis => {
+            const [p, v] = this.state[axis];
+            const u = input[axis];
+            this.state[axis] = [p + v * dt + 0.5 * u * dt * dt, v + u * dt];
+
+            // P = F·P·Fᵀ + Q
+            const [[pp, pv], [vp, vv]] = this.covariance[axis];
+            const predicted = [
+                [pp + dt * (pv + vp) + dt * dt * vv, pv + dt * vv],
+                [vp + dt * vv, vv]
+            ];
+            predicted[0][0] += q * dt ** 4 / 4;
+            predicted[0][1] += q * dt ** 3 / 2;
+            predicted[1][0] += q * dt ** 3 / 2;
+            predicted[1][1] += q * dt ** 2;
+            this.covariance[axis] = predicted;
+        });
+    }
+
+    // Distancia de Mahalanobis² de la posición medida
+    positionInnovation(measured, accuracy) {
+        return ['x', 'y'].reduce((sum, axis) => {
+            const residual = measured[axis] - this.state[axis][0];
+            return sum + residual ** 2 / (this.covariance[axis][0][0] + accuracy ** 2);
+        }, 0);
+    }
+
+    // Corrección escalar de un componente (0 = posición, 1 = velocidad)
+    correctAxis(axis, component, value, variance) {
+        const P = this.covariance[axis];
+        const state = this.state[axis];
+        const S = P[component][component] + variance;
+        const gain = [P[0][component] / S, P[1][component] / S];
+        const residual = value - state[component];
+
+        this.state[axis] = [state[0] + gain[0] * residual, state[1] + gain[1] * residual];
+        this.covariance[axis] = [
+            [P[0][0] - gain[0] * P[component][0], P[0][1] - gain[0] * P[component][1]],
+            [P[1][0] - gain[1] * P[component][0], P[1][1] - gain[1] * P[component][1]]
+        ];
+    }
+
+    getEstimate(outlier, reason = null) {
+        const position = this.unproject(this.state.x[0], this.state.y[0]);
+        const vx = this.state.x[1];
+        const vy = this.state.y[1];
+        const speed = Math.hypot(vx, vy);
+
+        return {
+            lat: position.lat,
+            lon: position.lon,
+            speed: speed,
+            heading: speed > 1 ? (Math.atan2(vx, vy) * 180 / Math.PI + 360) % 360 : null,
+            position_std: Math.sqrt(this.covariance.x[0][0] + this.covariance.y[0][0]),
+            speed_std: Math.sqrt(this.covariance.x[1][1] + this.covariance.y[1][1]),
+            outlier: outlier,
+            outlier_reason: reason,
+            reset: null
+        };
+    }
+
+    getCounts() {
+        return { ...this.counts };
+    }
+
+    // Plano local (equirectangular) alrededor de la primera fijación
+    project(lat, lon) {
+        const R = 6371000;
+        const rad = Math.PI / 180;
+        return {
+            x: (lon - this.origin.lon) * rad * R * Math.cos(this.origin.lat * rad),
+            y: (lat - this.origin.lat) * rad * R
+        };
+    }
+
+    unproject(x, y) {
+        const R = 6371000;
+        const rad = Math.PI / 180;
+        return {
+            lat: this.origin.lat + y / (R * rad),
+            lon: this.origin.lon + x / (R * rad * Math.cos(this.origin.lat * rad))
+        };
+    }
+}
+
+// Exportar para uso global
+window.GPSKalmanFilter = GPSKalmanFilter;
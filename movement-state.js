@@ -0,0 +1,134 @@
+// Estado de Movimiento - Monitor de Conducción ITSON v2.0
+// Máquina de estados (detenido, arrancando, en marcha, deteniéndose) con histéresis y tiempos mínimos
+
+class MovementStateMachine {
+    constructor(options = {}) {
+        this.config = {
+            enterConfidence: { gps: 70, accel: 70 },   // % de confianza para empezar a moverse (con GPS: velocidad + otra evidencia)
+            exitConfidence: { gps: 30, accel: 30 },    // % (o menos) con el que empieza a detenerse
+            startDwell: 2000,       // ms de evidencia sostenida para pasar de arrancando a en marcha
+            stopDwell: 3000,        // ms de quietud para pasar de deteniéndose a detenido
+            ...options
+        };
+
+        this.reset();
+    }
+
+    static get STATES() {
+        return ['stopped', 'starting', 'moving', 'stopping'];
+    }
+
+    reset() {
+        this.state = 'stopped';
+        this.since = null;              // ms: inicio del estado actual
+        this.stopStart = null;          // ms: inicio de la detención en curso
+    }
+
+    // confidence: 0–100 de DataProcessor
+    update(time, confidence, hasGPS) {
+        const source = hasGPS ? 'gps' : 'accel';
+        const enter = confidence >= this.config.enterConfidence[source];
+        const exit = confidence <= this.config.exitConfidence[source];
+
+        if (this.since === null) {
+            this.since = time;
+            this.stopStart = time;
+        }
+
+        switch (this.state) {
+            case 'stopped':
+                if (enter) this.transition('starting', time, confidence);
+                break;
+
+            case 'starting':
+                // La evidencia de arranque debe sostenerse todo el tiempo mínimo (no basta un pico)
+                if (!enter) {
+                    this.transition('stopped', time, confidence);
+                } else if (time - this.since >= this.config.startDwell) {
+                    this.transition('moving', time, confidence);
+                }
+                break;
+
+            case 'moving':
+                if (exit) this.transition('stopping', time, confidence);
+                break;
+
+            case 'stopping':
+                if (enter) {
+                    this.transition('moving', time, confidence);
+                } else if (time - this.since >= this.config.stopDwell) {
+                    // La detención empezó cuando bajó la evidencia, no al confirmarse
+                    this.stopStart = this.since;
+                    this.transition('stopped', time, confidence);
+                }
+                break;
+        }
+
+        return this.state;
+    }
+
+    transition(state, time, confidence) {
+        const previous = this.state;
+        this.state = state;
+        this.since = time;
+
+        Utils.log('info', `Movimiento: ${previous} → ${state} (Conf: ${confidence}%)`);
+    }
+
+    // Eventos y registros "en movimiento": todo menos detenido
+    isMoving() {
+        return this.state !== 'stopped';
+    }
+
+    // Inicio (ISO) de la detención en curso (también mientras arranca: puede abortarse)
+    getStopStart() {
+        if (this.state !== 'stopped' && this.state !== 'starting') return null;
+        return this.stopStart !== null ? new Date(this.stopStart).toISOString() : null;
+    }
+
+    // Segmentos de detención a partir de registros procesados (movement_state, stop_started)
+    static findStops(records) {
+        const stops = [];
+        let current = null;
+
+        records.forEach(record => {
+            if (record.movement_state === 'stopped' && record.stop_started) {
+                if (!current || current.start !== record.stop_started) {
+                    if (current) stops.push(current);
+                    current = {
+                        start: record.stop_started,
+                        end: record.timestamp,
+                        location: record.lat && record.lon ? { lat: record.lat, lon: record.lon } : null,
+                        ongoing: true,
+                        leaving: null
+                    };
+                }
+                current.end = record.timestamp;
+                current.leaving = null;
+                return;
+            }
+
+            if (!current) return;
+
+            // La detención termina donde empezó el arranque que se confirmó
+            if (record.movement_state === 'starting') {
+                current.leaving = current.leaving || record.timestamp;
+            } else if (record.movement_state) {
+                current.end = current.leaving || record.timestamp;
+                current.ongoing = false;
+                stops.push(current);
+                current = null;
+            }
+        });
+
+        if (current) stops.push(current);
+
+        return stops.map(({ leaving, ...stop }) => ({
+            ...stop,
+            duration_sec: Math.max(0, (Date.parse(stop.end) - Date.parse(stop.start)) / 1000)
+        }));
+    }
+}
+
+// Exportar para uso global
+window.MovementStateMachine = MovementStateMachine;
@@ -0,0 +1,182 @@
+// Captura Cruda de Movimiento - Monitor de Conducción ITSON v2.0
+// Cada muestra de devicemotion a la tasa del dispositivo, en bloques de arreglos tipados
+
+class RawMotionRecorder {
+    constructor(sessionStore, options = {}) {
+        this.sessionStore = sessionStore;
+
+        // Muestras por bloque (~17 s a 60 Hz)
+        this.chunkSize = options.chunkSize || 1024;
+
+        this.sessionId = null;
+        this.isRecording = false;
+        this.savePromise = Promise.resolve();
+        this.resetBuffer();
+    }
+
+    resetBuffer() {
+        this.buffer = {
+            time: new Float64Array(this.chunkSize),   // ms epoch
+            x: new Float32Array(this.chunkSize),
+            y: new Float32Array(this.chunkSize),
+            z: new Float32Array(this.chunkSize),
+            alpha: new Float32Array(this.chunkSize),  // rotationRate °/s (NaN si no hay giroscopio)
+            beta: new Float32Array(this.chunkSize),
+            gamma: new Float32Array(this.chunkSize),
+            count: 0,
+            intervalSum: 0,
+            intervalCount: 0
+        };
+    }
+
+    start(sessionId) {
+        this.sessionId = sessionId;
+        this.isRecording = true;
+        this.resetBuffer();
+        Utils.log('info', `Captura cruda de movimiento iniciada: ${sessionId}`);
+    }
+
+    async stop() {
+        if (!this.isRecording) return;
+
+        this.isRecording = false;
+        await this.flush();
+    }
+
+    // Llamar con el evento devicemotion original (antes del control de frecuencia)
+    addSample(event) {
+        if (!this.isRecording) return;
+
+        const acceleration = event.accelerationIncludingGravity;
+        if (!acceleration) return;
+
+        const i = this.buffer.count;
+        this.buffer.time[i] = RawMotionRecorder.sampleTime(event);
+        this.buffer.x[i] = acceleration.x || 0;
+        this.buffer.y[i] = acceleration.y || 0;
+        this.buffer.z[i] = acceleration.z || 0;
+
+        const rotation = event.rotationRate;
+        const hasRotation = rotation && rotation.alpha !== null && rotation.alpha !== undefined;
+        this.buffer.alpha[i] = hasRotation ? rotation.alpha : NaN;
+        this.buffer.beta[i] = hasRotation ? rotation.beta : NaN;
+        this.buffer.gamma[i] = hasRotation ? rotation.gamma : NaN;
+        this.buffer.count++;
+
+        // Intervalo que reporta el navegador (documenta la tasa nominal)
+        if (event.interval) {
+            this.buffer.intervalSum += event.interval;
+            this.buffer.intervalCount++;
+        }
+
+        if (this.buffer.count >= this.chunkSize) {
+            this.flush();
+        }
+    }
+
+    // event.timeStamp es relativo a la carga de la página (más preciso que Date.now())
+    static sampleTime(event) {
+        const origin = typeof performance !== 'undefined' ? performance.timeOrigin : null;
+        if (origin && event.timeStamp > 0 && event.timeStamp < 1e12) {
+            return origin + event.timeStamp;
+        }
+        return event.timeStamp > 1e12 ? event.timeStamp : Date.now();
+    }
+
+    // Guardar el bloque actual (encadenado para conservar el orden)
+    flush() {
+        const buffer = this.buffer;
+        const sessionId = this.sessionId;
+        this.resetBuffer();
+
+        if (buffer.count === 0 || !sessionId) return this.savePromise;
+
+        const count = buffer.count;
+        const chunk = {
+            count: count,
+            start: buffer.time[0],
+            end: buffer.time[count - 1],
+            reported_interval_ms: buffer.intervalCount > 0 ? buffer.intervalSum / buffer.intervalCount : null,
+            time: buffer.time.slice(0, count),
+            x: buffer.x.slice(0, count),
+            y: buffer.y.slice(0, count),
+            z: buffer.z.slice(0, count),
+            alpha: buffer.alpha.slice(0, count),
+            beta: buffer.beta.slice(0, count),
+            gamma: buffer.gamma.slice(0, count)
+        };
+
+        this.savePromise = this.savePromise
+            .then(() => this.sessionStore.appendRawMotion(sessionId, chunk))
+            .catch(error => Utils.log('error', 'Error guardando movimiento crudo', error));
+
+        return this.savePromise;
+    }
+
+    async load(sessionId) {
+        await this.savePromise;
+        return this.sessionStore.loadRawMotion(sessionId);
+    }
+
+    // === RESUMEN Y EXPORTACIÓN ===
+
+    // Frecuencia medida a partir de los tiempos de las muestras
+    static describe(chunks) {
+        const samples = chunks.reduce((sum, chunk) => sum + chunk.count, 0);
+        if (samples === 0) {
+            return { muestras: 0, frecuencia_hz: null };
+        }
+
+        const start = chunks[0].start;
+        const end = chunks[chunks.length - 1].end;
+
+        // Mediana de intervalos del primer bloque: robusta a pausas
+        const first = chunks[0].time;
+        const intervals = [];
+        for (let i = 1; i < first.length; i++) {
+            intervals.push(first[i] - first[i - 1]);
+        }
+        intervals.sort((a, b) => a - b);
+        const median = intervals.length > 0 ? intervals[Math.floor(intervals.length / 2)] : null;
+
+        const reported = chunks.filter(chunk => chunk.reported_interval_ms);
+
+        return {
+            muestras: samples,
+            inicio: new Date(start).toISOString(),
+            fin: new Date(end).toISOString(),
+            duracion_seg: Number(((end - start) / 1000).toFixed(1)),
+            frecuencia_hz: end > start ? Number(((samples - 1) / ((end - start) / 1000)).toFixed(1)) : null,
+            intervalo_mediano_ms: median !== null ? Number(median.toFixed(2)) : null,
+            intervalo_reportado_ms: reported.length > 0
+                ? Number((reported.reduce((sum, chunk) => sum + chunk.reported_interval_ms, 0) / reported.length).toFixed(2))
+                : null,
+            unidades: 'm/s² (accelerationIncludingGravity), °/s (rotationRate), tiempo en ms epoch'
+        };
+    }
+
+    static toCSV(chunks) {
+        const lines = ['timestamp_ms,timestamp,aceleracion_x,aceleracion_y,aceleracion_z,rotacion_alpha,rotacion_beta,rotacion_gamma'];
+        const rotation = (values, i) => values && !Number.isNaN(values[i]) ? values[i].toFixed(3) : '';
+
+        chunks.forEach(chunk => {
+            for (let i = 0; i < chunk.count; i++) {
+                lines.push([
+                    chunk.time[i].toFixed(1),
+                    new Date(chunk.time[i]).toISOString(),
+                    chunk.x[i].toFixed(4),
+                    chunk.y[i].toFixed(4),
+                    chunk.z[i].toFixed(4),
+                    rotation(chunk.alpha, i),
+                    rotation(chunk.beta, i),
+                    rotation(chunk.gamma, i)
+                ].join(','));
+            }
+        });
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+// Exportar para uso global
+window.RawMotionRecorder = RawMotionRecorder;
@@ -0,0 +1,259 @@
+// Puntuación de Riesgo - Monitor de Conducción ITSON v2.0
+// Distancia, velocidades, eventos por km / por hora y puntuación de riesgo 0–100 de una sesión
+
+// Puntuación (0 = sin riesgo, 100 = máximo):
+//   eventos:    Σ peso[tipo] × eventos_ponderados_por_km[tipo] (tope caps.events)
+//               eventos_ponderados = Σ severityWeights[severidad] × eventos de esa severidad
+//   velocidad:  % del tiempo sobre el límite × (speedingWeight + speedingExcessWeight × exceso promedio km/h)
+//               (tope caps.speeding: el exceso sostenido por sí solo puede llegar a "Muy alto")
+//   puntuación = min(100, eventos + velocidad); la descripción del nivel sigue al componente mayor
+// Con menos de minDistanceKm recorridos, las tasas se calculan sobre minDistanceKm
+// para que un trayecto corto con un evento no salga en "Muy alto".
+class RiskScorer {
+    constructor(options = {}) {
+        const defaults = {
+            // Puntos por cada evento/km de cada tipo
+            weights: {
+                harsh_acceleration: 8,
+                harsh_braking: 10,
+                aggressive_turn: 8
+            },
+            // Un evento 'moderate' vale 1; sin desglose por severidad se cuenta cada evento como 1
+            severityWeights: {
+                low: 0.5,
+                moderate: 1,
+                high: 1.5,
+                extreme: 2.5
+            },
+            speedingWeight: 0.8,        // puntos por cada 1 % del tiempo sobre el límite
+            speedingExcessWeight: 0.02, // puntos extra por cada 1 % del tiempo y km/h de exceso promedio
+            caps: {
+                events: 60,
+                speeding: 100
+            },
+            minDistanceKm: 1,
+            recommendPerKm: 1,          // eventos/km de un tipo a partir de los cuales se recomienda
+            recommendSpeedingPercent: 5,
+            maxGap: 5000,               // ms entre registros: más separados no suman tiempo
+            minimumSpeed: 3,            // km/h para considerar el vehículo en movimiento
+            // Niveles por puntuación máxima (inclusive), con la descripción según el componente mayor
+            levels: [
+                {
+                    max: 20, level: 'Bajo',
+                    events: 'Conducción suave, sin patrones de riesgo relevantes',
+                    speeding: 'Conducción suave, sin patrones de riesgo relevantes'
+                },
+                {
+                    max: 40, level: 'Moderado',
+                    events: 'Algunos eventos bruscos aislados',
+                    speeding: 'Excesos de velocidad ocasionales o leves'
+                },
+                {
+                    max: 70, level: 'Alto',
+                    events: 'Eventos bruscos frecuentes',
+                    speeding: 'Tiempo considerable sobre el límite de velocidad'
+                },
+                {
+                    max: 100, level: 'Muy alto',
+                    events: 'Patrón de conducción agresiva sostenido',
+                    speeding: 'Exceso de velocidad sostenido durante gran parte del viaje'
+                }
+            ]
+        };
+
+        // Los mapas de pesos y topes se combinan por clave: un peso suelto no borra los demás
+        this.config = { ...defaults, ...options };
+        RiskScorer.NESTED_KEYS.forEach(key => {
+            this.config[key] = { ...defaults[key], ...(options[key] || {}) };
+        });
+    }
+
+    static get NESTED_KEYS() {
+        return ['weights', 'severityWeights', 'caps'];
+    }
+
+    // Tipo de evento → prefijo de las claves por km / por hora (nombres que usa el panel)
+    static get RATE_KEYS() {
+        return {
+            harsh_acceleration: 'harsh_acceleration',
+            harsh_braking: 'harsh_braking',
+            aggressive_turn: 'aggressive_turns',
+            speeding: 'speeding'
+        };
+    }
+
+    // data: registros procesados; counters: contadores por tipo; speeding: DataProcessor.summarizeSpeeding;
+    // severity: contadores por tipo y severidad (DataProcessor.getSeverityCounters)
+    assess(data, counters, speeding = null, severity = null) {
+        const trip = this.computeTripMetrics(data);
+        const rates = this.computeRates(counters, trip, severity);
+        const risk = this.score(rates, speeding);
+
+        return {
+            trip: trip,
+            events_per_km: rates.per_km,
+            events_per_hour: rates.per_hour,
+            severity: this.summarizeSeverity(severity, rates),
+            risk_assessment: risk,
+            recommendations: this.recommend(rates, speeding, risk)
+        };
+    }
+
+    // === MÉTRICAS DEL VIAJE ===
+
+    computeTripMetrics(data) {
+        const records = (data || []).filter(d => d.type !== 'gap');
+        const time = d => Date.parse(d.timestamp);
+
+        // Distancia: posiciones GPS filtradas consecutivas (sin fijaciones atípicas)
+        const positions = records.filter(d => d.gps_available && !d.gps_outlier && d.lat && d.lon);
+        let distance = 0;
+        for (let i = 1; i < positions.length; i++) {
+            distance += Utils.calculateDistance(
+                positions[i - 1].lat, positions[i - 1].lon,
+                positions[i].lat, positions[i].lon
+            );
+        }
+
+        // Tiempo en movimiento: intervalos entre registros con el vehículo en movimiento
+        let movingMs = 0;
+        for (let i = 1; i < records.length; i++) {
+            const dt = time(records[i]) - time(records[i - 1]);
+            if (dt > 0 && dt <= this.config.maxGap && records[i - 1].vehicle_moving) {
+                movingMs += dt;
+            }
+        }
+
+        const speeds = records
+            .map(d => d.velocidad)
+            .filter(speed => Number.isFinite(speed) && speed > this.config.minimumSpeed);
+        const average = speeds.length > 0 ? speeds.reduce((a, b) => a + b, 0) / speeds.length : 0;
+        const std = speeds.length > 1
+            ? Math.sqrt(speeds.reduce((sum, speed) => sum + (speed - average) ** 2, 0) / (speeds.length - 1))
+            : 0;
+
+        return {
+            distance_km: Number((distance / 1000).toFixed(2)),
+            moving_time_min: Number((movingMs / 60000).toFixed(1)),
+            average_speed: Number(average.toFixed(1)),
+            max_speed: speeds.length > 0 ? Number(Math.max(...speeds).toFixed(1)) : 0,
+            speed_std: Number(std.toFixed(1))
+        };
+    }
+
+    computeRates(counters = {}, trip, severity = null) {
+        const keys = RiskScorer.RATE_KEYS;
+        const types = Object.keys(keys);
+        const km = Math.max(trip.distance_km, this.config.minDistanceKm);
+        const hours = trip.moving_time_min / 60;
+        const total = types.reduce((sum, type) => sum + (counters[type] || 0), 0);
+
+        const per_km = {};
+        const per_hour = {};
+        types.forEach(type => {
+            per_km[`${keys[type]}_per_km`] = Number(((counters[type] || 0) / km).toFixed(2));
+            per_hour[`${keys[type]}_per_hour`] = hours > 0 ? Number(((counters[type] || 0) / hours).toFixed(1)) : 0;
+        });
+        per_km.total_events_per_km = Number((total / km).toFixed(2));
+        per_hour.total_events_per_hour = hours > 0 ? Number((total / hours).toFixed(1)) : 0;
+
+        return {
+            per_km: per_km,
+            per_hour: per_hour,
+            counts: types.reduce((acc, type) => ({ ...acc, [type]: counters[type] || 0 }), {}),
+            weighted: types.reduce((acc, type) => ({
+                ...acc,
+                [type]: severity?.[type] ? this.weightBySeverity(severity[type]) : counters[type] || 0
+            }), {}),
+            km: km,
+            short_trip: trip.distance_km < this.config.minDistanceKm
+        };
+    }
+
+    // === PUNTUACIÓN ===
+
+    score(rates, speeding = null) {
+        const components = {};
+
+        Object.entries(this.config.weights).forEach(([type, weight]) => {
+            components[type] = weight * rates.weighted[type] / rates.km;
+        });
+        const events = Math.min(this.config.caps.events, Object.values(components).reduce((a, b) => a + b, 0));
+
+        // Sin resumen de episodios se usa el conteo de excesos por km con el peso de los frenados
+        components.speeding = speeding
+            ? speeding.percent_time_over_limit *
+                (this.config.speedingWeight + this.config.speedingExcessWeight * (speeding.mean_excess_kmh || 0))
+            : this.config.weights.harsh_braking * rates.counts.speeding / rates.km;
+        const speedingPoints = Math.min(this.config.caps.speeding, components.speeding);
+
+        const score = Math.round(Math.min(100, events + speedingPoints));
+        const level = this.config.levels.find(l => score <= l.max) || this.config.levels[this.config.levels.length - 1];
+        const mainFactor = speedingPoints > events ? 'speeding' : 'events';
+
+        return {
+            score: score,
+            level: level.level,
+            description: level[mainFactor] || level.description,
+            main_factor: mainFactor,
+            components: Object.fromEntries(
+                Object.entries(components).map(([type, points]) => [type, Number(points.toFixed(1))])
+            ),
+            short_trip: rates.short_trip
+        };
+    }
+
+    weightBySeverity(counts) {
+        return Object.entries(counts).reduce((sum, [severity, count]) =>
+            sum + (this.config.severityWeights[severity] ?? 1) * count, 0);
+    }
+
+    // Índice ponderado por severidad (total y por km) y desglose leves / altos / extremos
+    summarizeSeverity(severity, rates) {
+        if (!severity) return null;
+
+        const total = level => Object.values(severity).reduce((sum, counts) => sum + (counts[level] || 0), 0);
+        const index = Object.values(rates.weighted).reduce((a, b) => a + b, 0);
+
+        return {
+            by_type: severity,
+            mild: total('low') + total('moderate'),
+            high: total('high'),
+            extreme: total('extreme'),
+            weighted_index: Number(index.toFixed(1)),
+            weighted_per_km: Number((index / rates.km).toFixed(2)),
+            weights: { ...this.config.severityWeights }
+        };
+    }
+
+    recommend(rates, speeding, risk) {
+        const recommendations = [];
+        const frequent = type => rates.counts[type] / rates.km >= this.config.recommendPerKm;
+
+        if (frequent('harsh_braking')) {
+            recommendations.push('Anticipar las detenciones: aumentar la distancia con el vehículo de adelante para frenar con suavidad');
+        }
+        if (frequent('harsh_acceleration')) {
+            recommendations.push('Acelerar de forma progresiva al arrancar y al rebasar');
+        }
+        if (frequent('aggressive_turn')) {
+            recommendations.push('Reducir la velocidad antes de entrar a las curvas y giros');
+        }
+        if (speeding && speeding.percent_time_over_limit >= this.config.recommendSpeedingPercent) {
+            recommendations.push(`Respetar los límites: ${speeding.percent_time_over_limit}% del tiempo en movimiento sobre el límite`);
+        } else if (!speeding && rates.counts.speeding > 0) {
+            recommendations.push('Respetar los límites de velocidad de cada zona');
+        }
+        if (risk.short_trip) {
+            recommendations.push('Trayecto corto: la puntuación es orientativa');
+        }
+        if (recommendations.length === 0) {
+            recommendations.push('Mantener el estilo de conducción actual');
+        }
+
+        return recommendations;
+    }
+}
+
+// Exportar para uso global
+window.RiskScorer = RiskScorer;
@@ -0,0 +1,374 @@
+// Generador de Escenarios Sintéticos - Monitor de Conducción ITSON v2.0
+// Flujos GPS + acelerómetro con eventos etiquetados para validar el detector
+
+class ScenarioGenerator {
+    constructor(options = {}) {
+        this.seed = options.seed ?? 1;
+        this.sampleRate = options.sampleRate || 10;     // Hz (registros de movimiento)
+        this.gpsInterval = options.gpsInterval || 1000;  // ms entre fijaciones GPS
+        this.startTime = options.startTime || '2025-01-06T14:00:00.000Z';
+        this.origin = options.origin || { lat: 27.4925, lon: -109.9385 }; // ITSON, Cd. Obregón
+        this.participante = options.participante || 'P99';
+        this.grupo = options.grupo || 'control';
+
+        // Ruido: acelerómetro (m/s²), giroscopio (°/s), posición (m) y velocidad GPS (km/h)
+        this.noise = {
+            accel: 0.05,
+            gyro: 0.5,
+            gps: 3,
+            speed: 0.5,
+            ...(options.noise || {})
+        };
+
+        // Para etiquetar severidad y exceso de velocidad igual que el detector (la app pasa los suyos)
+        this.thresholds = { ...DataProcessor.DEFAULT_THRESHOLDS, ...(options.thresholds || {}) };
+        this.speedLimit = options.speedLimit || DataProcessor.DEFAULT_SPEED_LIMITS.default;
+        this.gravity = 9.81;
+    }
+
+    // Escenarios disponibles (fases: duration s, acceleration m/s², yawRate °/s, + izquierda)
+    static get SCENARIOS() {
+        return {
+            urbano_stop_and_go: {
+                descripcion: 'Ciudad con semáforos: arranques y paradas suaves',
+                build: () => {
+                    const phases = [{ duration: 10 }];
+                    for (let i = 0; i < 5; i++) {
+                        phases.push(
+                            { duration: 8, acceleration: 1.4 },
+                            { duration: 12 },
+                            { duration: 8, acceleration: -1.4 },
+                            { duration: 10 }
+                        );
+                    }
+                    return phases;
+                }
+            },
+            carretera: {
+                descripcion: 'Carretera a velocidad constante (~108 km/h)',
+                build: () => [
+                    { duration: 10 },
+                    { duration: 25, acceleration: 1.2 },
+                    { duration: 180 },
+                    { duration: 30, acceleration: -1.0 },
+                    { duration: 10 }
+                ]
+            },
+            frenado_brusco: {
+                descripcion: 'Frenado brusco en el segundo N (opción at, 30 s por defecto)',
+                build: ({ at = 30, deceleration = 5.0 } = {}) => {
+                    const cruise = Math.max(1, at - 20);
+                    return [
+                        { duration: 10 },
+                        { duration: 10, acceleration: 1.5 },
+                        { duration: cruise },
+                        { duration: 2.5, acceleration: -deceleration, label: 'harsh_braking' },
+                        { duration: 5, acceleration: -Math.max(0.5, (15 - deceleration * 2.5) / 5) },
+                        { duration: 10 }
+                    ];
+                }
+            },
+            aceleracion_brusca: {
+                descripcion: 'Arranque agresivo desde alto total',
+                build: () => [
+                    { duration: 10 },
+                    { duration: 3, acceleration: 4.0, label: 'harsh_acceleration' },
+                    { duration: 15 },
+                    { duration: 12, acceleration: -1.0 },
+                    { duration: 10 }
+                ]
+            },
+            giros_agresivos: {
+                descripcion: 'Tres giros cerrados a la izquierda (~40 km/h)',
+                build: ({ yawRate = 35 } = {}) => {
+                    const phases = [
+                        { duration: 10 },
+                        { duration: 8, acceleration: 1.4 },
+                        { duration: 10 }
+                    ];
+                    for (let i = 0; i < 3; i++) {
+                        phases.push(
+                            { duration: 3, yawRate: yawRate, label: 'aggressive_turn' },
+                            { duration: 12 }
+                        );
+                    }
+                    phases.push({ duration: 8, acceleration: -1.4 }, { duration: 10 });
+                    return phases;
+                }
+            },
+            perdida_gps: {
+                descripcion: 'Túnel: 30 s sin GPS a velocidad constante',
+                build: ({ dropout = 30 } = {}) => [
+                    { duration: 10 },
+                    { duration: 10, acceleration: 1.5 },
+                    { duration: 20 },
+                    { duration: dropout, gpsDropout: true },
+                    { duration: 20 },
+                    { duration: 10, acceleration: -1.5 },
+                    { duration: 10 }
+                ]
+            },
+            tunel_largo: {
+                descripcion: 'Túnel largo: 90 s sin GPS a ~55 km/h (no debe registrarse ninguna detención)',
+                build: () => ScenarioGenerator.SCENARIOS.perdida_gps.build({ dropout: 90 })
+            },
+            ruido_sensor: {
+                descripcion: 'Conducción suave con acelerómetro muy ruidoso (no debe haber eventos)',
+                noise: { accel: 0.6, gps: 8, speed: 2 },
+                build: () => [
+                    { duration: 10 },
+                    { duration: 10, acceleration: 1.2 },
+                    { duration: 60 },
+                    { duration: 10, acceleration: -1.2 },
+                    { duration: 10 }
+                ]
+            }
+        };
+    }
+
+    // Generar registros y etiquetas de un escenario (nombre o arreglo de fases)
+    generate(scenario, params = {}) {
+        const definition = typeof scenario === 'string'
+            ? ScenarioGenerator.SCENARIOS[scenario]
+            : { descripcion: 'Escenario personalizado', build: () => scenario };
+
+        if (!definition) {
+            throw new Error(`Escenario desconocido: ${scenario}`);
+        }
+
+        const name = typeof scenario === 'string' ? scenario : 'personalizado';
+        const phases = definition.build(params).map(phase => ({
+            acceleration: 0,
+            yawRate: 0,
+            ...phase
+        }));
+        const noise = { ...this.noise, ...(definition.noise || {}), ...(params.noise || {}) };
+        const random = ScenarioGenerator.createRandom(this.seed);
+        const gaussian = () => ScenarioGenerator.gaussian(random);
+
+        // Secuencia aparte para giroscopio/orientación: no altera las demás señales
+        const gyroRandom = ScenarioGenerator.createRandom(this.seed ^ 0x9E3779B9);
+        const gyroNoise = () => ScenarioGenerator.gaussian(gyroRandom) * noise.gyro;
+
+        const sessionId = `SIM-${name}-${this.seed}`;
+        const start = Date.parse(this.startTime);
+        const dt = 1 / this.sampleRate;
+
+        const records = [];
+        const labels = [];
+        const conditions = [];
+
+        const state = { speed: 0, heading: 0, lat: this.origin.lat, lon: this.origin.lon };
+        let lastFix = null;
+        let lastAccel = null;
+        let lastGPSTime = -Infinity;
+        let elapsed = 0;
+
+        phases.forEach(phase => {
+            const phaseStart = elapsed;
+            const steps = Math.round(phase.duration * this.sampleRate);
+            let peak = 0;
+            let slowest = Infinity;
+
+            for (let i = 0; i < steps; i++) {
+                // Cinemática: velocidad nunca negativa, solo gira en movimiento
+                const previousSpeed = state.speed;
+                state.speed = Math.max(0, state.speed + phase.acceleration * dt);
+                const longitudinal = (state.speed - previousSpeed) / dt;
+                const yawRate = state.speed > 0.5 ? phase.yawRate : 0;
+                const lateral = -state.speed * (yawRate * Math.PI / 180); // izquierda = X negativo
+
+                state.heading = (state.heading - yawRate * dt + 360) % 360;
+                const distance = state.speed * dt;
+                const headingRad = state.heading * Math.PI / 180;
+                state.lat += (distance * Math.cos(headingRad)) / 111320;
+                state.lon += (distance * Math.sin(headingRad)) / (111320 * Math.cos(state.lat * Math.PI / 180));
+                elapsed += dt;
+
+                peak = Math.max(peak, Math.abs(phase.label === 'aggressive_turn' ? lateral : longitudinal));
+                slowest = Math.min(slowest, state.speed * 3.6);
+
+                const time = start + Math.round(elapsed * 1000);
+                const base = {
+                    timestamp: new Date(time).toISOString(),
+                    session_id: sessionId,
+                    participante: this.participante,
+                    grupo: this.grupo,
+                    session_time: Math.round(elapsed)
+                };
+
+                // Fijación GPS (con ruido de posición y velocidad)
+                if (!phase.gpsDropout && time - lastGPSTime >= this.gpsInterval) {
+                    lastGPSTime = time;
+                    const metersNoise = noise.gps;
+                    lastFix = {
+                        lat: state.lat + (gaussian() * metersNoise) / 111320,
+                        lon: state.lon + (gaussian() * metersNoise) / (111320 * Math.cos(state.lat * Math.PI / 180)),
+                        velocidad: Math.max(0, state.speed * 3.6 + gaussian() * noise.speed),
+                        accuracy: Math.max(2, Math.abs(metersNoise + gaussian())),
+                        heading: state.speed > 0.5 ? state.heading : null
+                    };
+
+                    records.push({ ...base, type: 'gps', ...lastFix, ...(lastAccel || {}) });
+                }
+
+                // Lectura del acelerómetro (teléfono plano: Y adelante, X derecha, Z arriba)
+                lastAccel = {
+                    x: lateral + gaussian() * noise.accel,
+                    y: longitudinal + gaussian() * noise.accel,
+                    z: this.gravity + gaussian() * noise.accel
+                };
+
+                // Canales sin gravedad, giroscopio y orientación (rotationRate.alpha = guiñada)
+                const channels = {
+                    lin_x: lastAccel.x,
+                    lin_y: lastAccel.y,
+                    lin_z: lastAccel.z - this.gravity,
+                    rot_alpha: yawRate + gyroNoise(),
+                    rot_beta: gyroNoise(),
+                    rot_gamma: gyroNoise(),
+                    orient_alpha: (360 - state.heading) % 360,
+                    orient_beta: 0,
+                    orient_gamma: 0
+                };
+
+                // Como mergeWithLastRecord: el movimiento arrastra la última posición
+                records.push({ ...base, type: 'motion', ...(lastFix || {}), ...lastAccel, ...channels });
+            }
+
+            const phaseWindow = {
+                start: new Date(start + Math.round(phaseStart * 1000)).toISOString(),
+                end: new Date(start + Math.round(elapsed * 1000)).toISOString()
+            };
+
+            if (phase.label) {
+                labels.push(this.createLabel(phase, peak, phaseWindow));
+            }
+
+            // Si el vehículo nunca baja de la velocidad mínima, el detector debe seguir "en marcha"
+            if (phase.gpsDropout) {
+                conditions.push({
+                    type: 'gps_dropout',
+                    ...phaseWindow,
+                    expected_moving: slowest > this.thresholds.minimum_speed
+                });
+            }
+        });
+
+        // Exceso de velocidad: tramos continuos por encima del límite + umbral
+        labels.push(...this.labelSpeeding(records));
+        labels.sort((a, b) => a.start.localeCompare(b.start));
+
+        return {
+            escenario: name,
+            descripcion: definition.descripcion,
+            semilla: this.seed,
+            parametros: params,
+            frecuencia_muestreo_hz: this.sampleRate,
+            limite_velocidad: this.speedLimit,
+            records,
+            labels,
+            conditions
+        };
+    }
+
+    createLabel(phase, peak, window) {
+        const thresholdKey = phase.label === 'aggressive_turn' ? 'aggressive_turn' : phase.label;
+        const label = {
+            type: phase.label,
+            severity: DataProcessor.prototype.calculateSeverity(peak, this.thresholds[thresholdKey]),
+            value: Number(peak.toFixed(2)),
+            ...window
+        };
+
+        if (phase.label === 'aggressive_turn') {
+            label.direction = phase.yawRate > 0 ? 'left' : 'right';
+        }
+
+        return label;
+    }
+
+    labelSpeeding(records) {
+        const labels = [];
+        let current = null;
+
+        records.filter(r => r.type === 'gps').forEach(record => {
+            const excess = record.velocidad - this.speedLimit;
+
+            if (excess > this.thresholds.speeding) {
+                if (!current) {
+                    current = { type: 'speeding', start: record.timestamp, peak: excess };
+                }
+                current.end = record.timestamp;
+                current.peak = Math.max(current.peak, excess);
+            } else if (current) {
+                labels.push(current);
+                current = null;
+            }
+        });
+
+        if (current) labels.push(current);
+
+        return labels.map(label => ({
+            type: 'speeding',
+            severity: DataProcessor.prototype.calculateSpeedingSeverity(label.peak),
+            value: Number(label.peak.toFixed(1)),
+            start: label.start,
+            end: label.end
+        }));
+    }
+
+    // Archivos: datos (formato datos_raw, reproducible) + etiquetas
+    download(result, exportManager = new ExportManager()) {
+        const base = `escenario-${result.escenario}-s${result.semilla}`;
+        const meta = {
+            escenario: result.escenario,
+            descripcion: result.descripcion,
+            semilla: result.semilla,
+            parametros: result.parametros,
+            frecuencia_muestreo_hz: result.frecuencia_muestreo_hz,
+            limite_velocidad: result.limite_velocidad
+        };
+
+        exportManager.downloadFile(
+            JSON.stringify({ escenario: meta, datos_raw: result.records }, null, 2),
+            `${base}-datos.json`,
+            'application/json'
+        );
+
+        exportManager.downloadFile(
+            JSON.stringify({ escenario: meta, etiquetas: result.labels, condiciones: result.conditions }, null, 2),
+            `${base}-etiquetas.json`,
+            'application/json'
+        );
+
+        return [`${base}-datos.json`, `${base}-etiquetas.json`];
+    }
+
+    // Fuente de sensores que reproduce el escenario en tiempo real
+    toSensorProvider(result, options = {}) {
+        return new ReplaySensorProvider(result.records, options);
+    }
+
+    // PRNG con semilla (mulberry32) para resultados reproducibles
+    static createRandom(seed) {
+        let a = seed >>> 0;
+        return () => {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Box-Muller
+    static gaussian(random) {
+        const u = 1 - random();
+        const v = random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+}
+
+// Exportar para uso global
+window.ScenarioGenerator = ScenarioGenerator;
@@ -0,0 +1,140 @@
+// Salud de Sensores - Monitor de Conducción ITSON v2.0
+// Frecuencia en vivo por sensor, avisos de caída y huecos durante la grabación
+
+class SensorHealthMonitor {
+    constructor(options = {}) {
+        // dropoutAfter: ms sin muestras para considerar el sensor caído
+        // required: false = solo se vigila después de su primera muestra
+        this.sensors = options.sensors || {
+            gps: { label: 'GPS', dropoutAfter: 10000, required: true },
+            motion: { label: 'Movimiento', dropoutAfter: 2000, required: true },
+            orientation: { label: 'Orientación', dropoutAfter: 2000, required: false }
+        };
+
+        // Ventana para medir la frecuencia en vivo
+        this.rateWindow = options.rateWindow || 5000;
+
+        this.onGap = options.onGap || null;
+        this.onStatusChange = options.onStatusChange || null;
+
+        this.isRunning = false;
+        this.state = {};
+    }
+
+    start(now = Date.now()) {
+        this.isRunning = true;
+        this.state = {};
+
+        Object.entries(this.sensors).forEach(([sensor, config]) => {
+            this.state[sensor] = {
+                // Los sensores obligatorios cuentan desde el inicio
+                lastSample: config.required ? now : null,
+                samples: [],
+                inDropout: false
+            };
+        });
+    }
+
+    // Cierra los huecos abiertos (pausa o fin de la grabación)
+    stop(now = Date.now()) {
+        if (!this.isRunning) return;
+
+        Object.keys(this.state).forEach(sensor => {
+            if (this.state[sensor].inDropout) {
+                this.closeGap(sensor, now, false);
+            }
+        });
+        this.isRunning = false;
+    }
+
+    recordSample(sensor, time = Date.now()) {
+        const state = this.state[sensor];
+        if (!this.isRunning || !state) return;
+
+        // Llegó una muestra después de una caída: el hueco tiene fin
+        if (state.inDropout) {
+            this.closeGap(sensor, time);
+        }
+
+        state.lastSample = time;
+        state.samples.push(time);
+        while (state.samples.length > 0 && state.samples[0] < time - this.rateWindow) {
+            state.samples.shift();
+        }
+    }
+
+    // Llamar periódicamente (p. ej. cada segundo) para avisar de caídas en curso
+    check(now = Date.now()) {
+        if (!this.isRunning) return;
+
+        Object.entries(this.state).forEach(([sensor, state]) => {
+            if (state.inDropout || state.lastSample === null) return;
+
+            const silence = now - state.lastSample;
+            if (silence > this.sensors[sensor].dropoutAfter) {
+                state.inDropout = true;
+                this.notifyStatus(sensor, 'dropout', silence);
+            }
+        });
+    }
+
+    closeGap(sensor, end, recovered = true) {
+        const state = this.state[sensor];
+        const gap = {
+            sensor: sensor,
+            start: state.lastSample,
+            end: end,
+            duration_ms: end - state.lastSample
+        };
+
+        state.inDropout = false;
+
+        if (this.onGap) this.onGap(gap);
+        if (recovered) {
+            this.notifyStatus(sensor, 'recovered', gap.duration_ms);
+        }
+    }
+
+    notifyStatus(sensor, status, duration) {
+        Utils.log(status === 'dropout' ? 'warn' : 'info', `Sensor ${sensor}: ${status}`, { duracion_ms: duration });
+
+        if (this.onStatusChange) {
+            this.onStatusChange({ sensor, label: this.sensors[sensor].label, status, duration_ms: duration });
+        }
+    }
+
+    // Muestras por segundo dentro de la ventana
+    getRate(sensor, now = Date.now()) {
+        const state = this.state[sensor];
+        if (!state) return null;
+
+        const recent = state.samples.filter(time => time >= now - this.rateWindow);
+        return recent.length / (this.rateWindow / 1000);
+    }
+
+    getStatus(now = Date.now()) {
+        const status = {};
+
+        Object.entries(this.state).forEach(([sensor, state]) => {
+            status[sensor] = {
+                etiqueta: this.sensors[sensor].label,
+                frecuencia_hz: Number(this.getRate(sensor, now).toFixed(1)),
+                sin_datos_ms: state.lastSample !== null ? now - state.lastSample : null,
+                estado: state.inDropout ? 'caido' : (state.lastSample === null ? 'sin_datos' : 'ok')
+            };
+        });
+
+        return status;
+    }
+
+    // Texto compacto para la tarjeta de estado
+    describe(now = Date.now()) {
+        return Object.values(this.getStatus(now))
+            .filter(sensor => sensor.estado !== 'sin_datos')
+            .map(sensor => `${sensor.estado === 'caido' ? '⚠️' : '✅'} ${sensor.etiqueta} ${sensor.frecuencia_hz} Hz`)
+            .join(' · ');
+    }
+}
+
+// Exportar para uso global
+window.SensorHealthMonitor = SensorHealthMonitor;
@@ -0,0 +1,452 @@
+// Fuentes de Sensores - Monitor de Conducción ITSON v2.0
+// Interfaz común de posición y movimiento: navegador, archivo o conductor simulado
+
+class SensorProvider {
+    constructor(name = 'base') {
+        this.name = name;
+        this.positionWatchers = new Map();
+        this.motionListeners = new Set();
+        this.orientationListeners = new Set();
+        this.nextWatchId = 1;
+        this.isActive = false;
+    }
+
+    // Misma firma que navigator.geolocation.watchPosition
+    watchPosition(onSuccess, onError = null, options = {}) {
+        const watchId = this.nextWatchId++;
+        this.positionWatchers.set(watchId, { onSuccess, onError, options });
+        this.updateActivity();
+        return watchId;
+    }
+
+    clearWatch(watchId) {
+        this.positionWatchers.delete(watchId);
+        this.updateActivity();
+    }
+
+    // Recibe objetos con la forma de DeviceMotionEvent
+    addMotionListener(callback) {
+        this.motionListeners.add(callback);
+        this.updateActivity();
+    }
+
+    removeMotionListener(callback) {
+        this.motionListeners.delete(callback);
+        this.updateActivity();
+    }
+
+    // Recibe objetos con la forma de DeviceOrientationEvent
+    addOrientationListener(callback) {
+        this.orientationListeners.add(callback);
+        this.updateActivity();
+    }
+
+    removeOrientationListener(callback) {
+        this.orientationListeners.delete(callback);
+        this.updateActivity();
+    }
+
+    // iOS 13+ exige permiso explícito; las fuentes simuladas no
+    async requestPermission() {
+        return true;
+    }
+
+    isPositionAvailable() {
+        return true;
+    }
+
+    isMotionAvailable() {
+        return true;
+    }
+
+    // Arrancar la fuente con el primer suscriptor y detenerla con el último
+    updateActivity() {
+        const hasListeners = this.positionWatchers.size > 0 ||
+            this.motionListeners.size > 0 ||
+            this.orientationListeners.size > 0;
+
+        if (hasListeners && !this.isActive) {
+            this.isActive = true;
+            this.start();
+        } else if (!hasListeners && this.isActive) {
+            this.isActive = false;
+            this.stop();
+        }
+    }
+
+    start() {}
+
+    stop() {}
+
+    emitPosition(position) {
+        this.positionWatchers.forEach(watcher => {
+            try {
+                watcher.onSuccess(position);
+            } catch (error) {
+                Utils.log('error', `Error en listener de posición (${this.name})`, error);
+            }
+        });
+    }
+
+    emitPositionError(error) {
+        this.positionWatchers.forEach(watcher => {
+            if (watcher.onError) watcher.onError(error);
+        });
+    }
+
+    emitMotion(event) {
+        this.motionListeners.forEach(callback => {
+            try {
+                callback(event);
+            } catch (err) {
+                Utils.log('error', `Error en listener de movimiento (${this.name})`, err);
+            }
+        });
+    }
+
+    emitOrientation(event) {
+        this.orientationListeners.forEach(callback => {
+            try {
+                callback(event);
+            } catch (err) {
+                Utils.log('error', `Error en listener de orientación (${this.name})`, err);
+            }
+        });
+    }
+
+    // Objetos con la forma de GeolocationPosition / DeviceMotionEvent / DeviceOrientationEvent
+    static createPosition({ latitude, longitude, speed = null, accuracy = 5, heading = null, timestamp = Date.now() }) {
+        return {
+            coords: {
+                latitude,
+                longitude,
+                accuracy,
+                speed,      // m/s
+                heading,
+                altitude: null,
+                altitudeAccuracy: null
+            },
+            timestamp
+        };
+    }
+
+    // acceleration: sin gravedad {x, y, z}; rotationRate: {alpha, beta, gamma} en °/s
+    static createMotionEvent({ x, y, z, interval = 50, acceleration = null, rotationRate = null }) {
+        return {
+            accelerationIncludingGravity: { x, y, z },
+            acceleration,
+            rotationRate,
+            interval,
+            timeStamp: Date.now()
+        };
+    }
+
+    static createOrientationEvent({ alpha, beta, gamma, absolute = false }) {
+        return {
+            alpha,
+            beta,
+            gamma,
+            absolute,
+            timeStamp: Date.now()
+        };
+    }
+
+    // Elegir fuente con ?sensores=simulado (p. ej. Chromium headless sin teléfono)
+    static fromLocation(location = window.location) {
+        const params = new URLSearchParams(location?.search || '');
+
+        switch (params.get('sensores')) {
+            case 'simulado':
+                return new ScriptedSensorProvider();
+            default:
+                return new BrowserSensorProvider();
+        }
+    }
+}
+
+// APIs reales del navegador
+class BrowserSensorProvider extends SensorProvider {
+    constructor() {
+        super('navegador');
+    }
+
+    watchPosition(onSuccess, onError = null, options = {}) {
+        return navigator.geolocation.watchPosition(onSuccess, onError, options);
+    }
+
+    clearWatch(watchId) {
+        navigator.geolocation.clearWatch(watchId);
+    }
+
+    addMotionListener(callback) {
+        window.addEventListener('devicemotion', callback, true);
+    }
+
+    removeMotionListener(callback) {
+        window.removeEventListener('devicemotion', callback, true);
+    }
+
+    addOrientationListener(callback) {
+        window.addEventListener('deviceorientation', callback, true);
+    }
+
+    removeOrientationListener(callback) {
+        window.removeEventListener('deviceorientation', callback, true);
+    }
+
+    async requestPermission() {
+        let motionGranted = true;
+
+        if (typeof DeviceMotionEvent !== 'undefined' && typeof DeviceMotionEvent.requestPermission === 'function') {
+            motionGranted = (await DeviceMotionEvent.requestPermission()) === 'granted';
+        }
+
+        // La orientación es opcional: sin ella se graba igual el movimiento
+        if (typeof DeviceOrientationEvent !== 'undefined' && typeof DeviceOrientationEvent.requestPermission === 'function') {
+            try {
+                const orientation = await DeviceOrientationEvent.requestPermission();
+                if (orientation !== 'granted') {
+                    Utils.log('warn', 'Permiso de orientación denegado');
+                }
+            } catch (error) {
+                Utils.log('warn', 'No se pudo solicitar permiso de orientación', error);
+            }
+        }
+
+        return motionGranted;
+    }
+
+    isPositionAvailable() {
+        return 'geolocation' in navigator;
+    }
+
+    isMotionAvailable() {
+        return 'DeviceMotionEvent' in window;
+    }
+}
+
+// Registros exportados (JSON/CSV) emitidos como lecturas de sensores
+class ReplaySensorProvider extends SensorProvider {
+    constructor(records, options = {}) {
+        super('archivo');
+        this.records = records;
+        this.speed = options.speed ?? 1;
+        this.loop = options.loop || false;
+        this.lastPositionKey = null;
+
+        this.replay = new TripReplay({
+            speed: this.speed,
+            onRecord: (record) => this.emitRecord(record),
+            onComplete: () => this.handleComplete()
+        });
+    }
+
+    static async fromFile(file, options = {}) {
+        const records = await TripReplay.readFile(file);
+        return new ReplaySensorProvider(records, options);
+    }
+
+    start() {
+        this.replay.load(this.records);
+        this.replay.start();
+    }
+
+    stop() {
+        this.replay.stop();
+    }
+
+    emitRecord(record) {
+        const now = Date.now();
+
+        // Solo emitir posición cuando cambia (los registros 'motion' repiten la última)
+        const positionKey = `${record.lat},${record.lon}`;
+        if (record.lat && record.lon && positionKey !== this.lastPositionKey) {
+            this.lastPositionKey = positionKey;
+            this.emitPosition(SensorProvider.createPosition({
+                latitude: record.lat,
+                longitude: record.lon,
+                speed: record.velocidad !== undefined ? record.velocidad / 3.6 : null,
+                accuracy: record.accuracy ?? 5,
+                heading: record.heading ?? null,
+                timestamp: now
+            }));
+        }
+
+        if (record.x !== undefined && record.y !== undefined && record.z !== undefined) {
+            this.emitMotion(SensorProvider.createMotionEvent({
+                x: record.x,
+                y: record.y,
+                z: record.z,
+                acceleration: record.lin_x !== undefined
+                    ? { x: record.lin_x, y: record.lin_y, z: record.lin_z }
+                    : null,
+                rotationRate: record.rot_alpha !== undefined
+                    ? { alpha: record.rot_alpha, beta: record.rot_beta, gamma: record.rot_gamma }
+                    : null
+            }));
+        }
+
+        if (record.orient_alpha !== undefined) {
+            this.emitOrientation(SensorProvider.createOrientationEvent({
+                alpha: record.orient_alpha,
+                beta: record.orient_beta,
+                gamma: record.orient_gamma
+            }));
+        }
+    }
+
+    handleComplete() {
+        if (this.loop && this.isActive) {
+            this.lastPositionKey = null;
+            this.start();
+        } else {
+            Utils.log('info', 'Fuente de archivo terminada');
+        }
+    }
+}
+
+// Conductor sintético guiado por un guion de fases
+class ScriptedSensorProvider extends SensorProvider {
+    constructor(script = ScriptedSensorProvider.DEFAULT_SCRIPT, options = {}) {
+        super('simulado');
+        this.script = script;
+        this.origin = options.origin || { lat: 27.4925, lon: -109.9385 }; // ITSON, Cd. Obregón
+        this.motionRate = options.motionRate || 20;   // Hz
+        this.gpsInterval = options.gpsInterval || 1000; // ms
+        this.noise = options.noise ?? 0.05;            // m/s² (desviación estándar)
+        this.loop = options.loop ?? true;
+        this.gravity = 9.81;
+
+        this.timer = null;
+        this.resetState();
+    }
+
+    // duration en s, acceleration en m/s² (longitudinal), yawRate en °/s (positivo = izquierda)
+    static get DEFAULT_SCRIPT() {
+        return [
+            { duration: 10, acceleration: 0, yawRate: 0 },      // Detenido
+            { duration: 8, acceleration: 1.8, yawRate: 0 },     // Arranque (~52 km/h)
+            { duration: 20, acceleration: 0, yawRate: 0 },      // Crucero
+            { duration: 4, acceleration: 0, yawRate: 20 },      // Giro a la izquierda
+            { duration: 10, acceleration: 0, yawRate: 0 },      // Crucero
+            { duration: 3, acceleration: -4.5, yawRate: 0 },    // Frenado brusco
+            { duration: 2, acceleration: -0.8, yawRate: 0 },    // Hasta detenerse
+            { duration: 8, acceleration: 0, yawRate: 0 }        // Detenido
+        ];
+    }
+
+    resetState() {
+        this.state = {
+            elapsed: 0,          // s desde el inicio del guion
+            speed: 0,            // m/s
+            heading: 0,          // grados (0 = norte)
+            lat: this.origin.lat,
+            lon: this.origin.lon,
+            lastGPS: 0
+        };
+    }
+
+    start() {
+        this.resetState();
+        const stepMs = 1000 / this.motionRate;
+        this.timer = setInterval(() => this.step(stepMs / 1000), stepMs);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    getPhase(elapsed) {
+        let cursor = 0;
+        for (const phase of this.script) {
+            cursor += phase.duration;
+            if (elapsed < cursor) return phase;
+        }
+        return null;
+    }
+
+    step(dt) {
+        const phase = this.getPhase(this.state.elapsed);
+
+        if (!phase) {
+            if (this.loop) {
+                this.resetState();
+            } else {
+                this.stop();
+            }
+            return;
+        }
+
+        const state = this.state;
+
+        // Cinemática simple: velocidad nunca negativa, solo gira en movimiento
+        const previousSpeed = state.speed;
+        state.speed = Math.max(0, state.speed + phase.acceleration * dt);
+        const longitudinal = (state.speed - previousSpeed) / dt;
+        const yawRate = state.speed > 0.5 ? phase.yawRate : 0;
+        state.heading = (state.heading - yawRate * dt + 360) % 360;
+
+        const distance = state.speed * dt;
+        const headingRad = state.heading * Math.PI / 180;
+        state.lat += (distance * Math.cos(headingRad)) / 111320;
+        state.lon += (distance * Math.sin(headingRad)) / (111320 * Math.cos(state.lat * Math.PI / 180));
+        state.elapsed += dt;
+
+        // Teléfono montado plano: Y hacia adelante, X a la derecha, Z hacia arriba
+        const lateral = -state.speed * (yawRate * Math.PI / 180); // giro a la izquierda = X negativo
+        const linear = {
+            x: lateral + this.gaussian(),
+            y: longitudinal + this.gaussian(),
+            z: this.gaussian()
+        };
+        this.emitMotion(SensorProvider.createMotionEvent({
+            x: linear.x,
+            y: linear.y,
+            z: this.gravity + linear.z,
+            interval: dt * 1000,
+            acceleration: linear,
+            rotationRate: {
+                alpha: yawRate + this.gaussian() * 10,  // Guiñada alrededor de Z (izquierda = positivo)
+                beta: this.gaussian() * 10,
+                gamma: this.gaussian() * 10
+            }
+        }));
+
+        // deviceorientation: alpha crece en sentido antihorario (heading es horario)
+        this.emitOrientation(SensorProvider.createOrientationEvent({
+            alpha: (360 - state.heading) % 360,
+            beta: 0,
+            gamma: 0
+        }));
+
+        const now = Date.now();
+        if (now - state.lastGPS >= this.gpsInterval) {
+            state.lastGPS = now;
+            this.emitPosition(SensorProvider.createPosition({
+                latitude: state.lat,
+                longitude: state.lon,
+                speed: state.speed,
+                accuracy: 4,
+                heading: state.speed > 0.5 ? state.heading : null,
+                timestamp: now
+            }));
+        }
+    }
+
+    // Ruido gaussiano (Box-Muller)
+    gaussian() {
+        if (this.noise === 0) return 0;
+        const u = 1 - Math.random();
+        const v = Math.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v) * this.noise;
+    }
+}
+
+// Exportar para uso global
+window.SensorProvider = SensorProvider;
+window.BrowserSensorProvider = BrowserSensorProvider;
+window.ReplaySensorProvider = ReplaySensorProvider;
+window.ScriptedSensorProvider = ScriptedSensorProvider;
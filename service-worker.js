@@ -1,7 +1,7 @@
 // Service Worker - Monitor de Conducción ITSON
 // Maneja cache offline y operaciones en segundo plano
 
-const CACHE_NAME = 'driving-monitor-v1.0.0';
+const CACHE_NAME = 'driving-monitor-v1.1.0';
 const STATIC_CACHE_URLS = [
     './',
     './index.html',
@@ -120,20 +120,20 @@ self.addEventListener('message', (event) => {
 });
 
 // Funciones para IndexedDB (persistencia de datos)
-function saveDataToIndexedDB(data) {
+// La versión y los stores deben coincidir con SessionStore (session-store.js)
+const DB_NAME = 'DrivingMonitorDB';
+const DB_VERSION = 5;
+
+function openDatabase() {
     return new Promise((resolve, reject) => {
-        const request = indexedDB.open('DrivingMonitorDB', 1);
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
         
         request.onerror = () => reject(request.error);
-        
         request.onsuccess = () => {
             const db = request.result;
-            const transaction = db.transaction(['driving_data'], 'readwrite');
-            const store = transaction.objectStore('driving_data');
-            
-            const putRequest = store.put(data);
-            putRequest.onsuccess = () => resolve();
-            putRequest.onerror = () => reject(putRequest.error);
+            // Liberar la conexión si la app actualiza el esquema
+            db.onversionchange = () => db.close();
+            resolve(db);
         };
         
         request.onupgradeneeded = () => {
@@ -143,26 +143,50 @@ function saveDataToIndexedDB(data) {
                 store.createIndex('participante', 'participante', { unique: false });
                 store.createIndex('fecha', 'fecha', { unique: false });
             }
+            if (!db.objectStoreNames.contains('sessions')) {
+                const sessions = db.createObjectStore('sessions', { keyPath: 'id' });
+                sessions.createIndex('participante', 'participante', { unique: false });
+                sessions.createIndex('fecha', 'fecha', { unique: false });
+            }
+            if (!db.objectStoreNames.contains('chunks')) {
+                const chunks = db.createObjectStore('chunks', { keyPath: ['sessionId', 'index'] });
+                chunks.createIndex('sessionId', 'sessionId', { unique: false });
+            }
+            if (!db.objectStoreNames.contains('events')) {
+                const events = db.createObjectStore('events', { keyPath: 'id' });
+                events.createIndex('sessionId', 'session_id', { unique: false });
+            }
+            if (!db.objectStoreNames.contains('raw_motion')) {
+                const rawMotion = db.createObjectStore('raw_motion', { keyPath: ['sessionId', 'index'] });
+                rawMotion.createIndex('sessionId', 'sessionId', { unique: false });
+            }
+            if (!db.objectStoreNames.contains('speed_zones')) {
+                db.createObjectStore('speed_zones', { keyPath: 'id' });
+            }
         };
     });
 }
 
-function getDataFromIndexedDB() {
-    return new Promise((resolve, reject) => {
-        const request = indexedDB.open('DrivingMonitorDB', 1);
+function saveDataToIndexedDB(data) {
+    return openDatabase().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(['driving_data'], 'readwrite');
+        const store = transaction.objectStore('driving_data');
         
-        request.onerror = () => reject(request.error);
+        const putRequest = store.put(data);
+        putRequest.onsuccess = () => resolve();
+        putRequest.onerror = () => reject(putRequest.error);
+    }));
+}
+
+function getDataFromIndexedDB() {
+    return openDatabase().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(['driving_data'], 'readonly');
+        const store = transaction.objectStore('driving_data');
         
-        request.onsuccess = () => {
-            const db = request.result;
-            const transaction = db.transaction(['driving_data'], 'readonly');
-            const store = transaction.objectStore('driving_data');
-            
-            const getAllRequest = store.getAll();
-            getAllRequest.onsuccess = () => resolve(getAllRequest.result);
-            getAllRequest.onerror = () => reject(getAllRequest.error);
-        };
-    });
+        const getAllRequest = store.getAll();
+        getAllRequest.onsuccess = () => resolve(getAllRequest.result);
+        getAllRequest.onerror = () => reject(getAllRequest.error);
+    }));
 }
 
 // Mantener Service Worker activo durante grabación
@@ -0,0 +1,392 @@
+// Almacén de Sesiones - Monitor de Conducción ITSON v2.0
+// Persistencia por bloques en IndexedDB (sesiones de varias horas)
+
+class SessionStore {
+    constructor() {
+        // Misma base de datos que usa el service worker
+        this.dbName = 'DrivingMonitorDB';
+        this.dbVersion = 5;
+        this.dbPromise = null;
+
+        // Registros por bloque al migrar datos antiguos
+        this.chunkSize = 50;
+
+        // Prefijo de las claves usadas antes en localStorage
+        this.legacyPrefix = 'driving_data_';
+    }
+
+    // Abrir (o crear) la base de datos
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (!('indexedDB' in window)) {
+                reject(new Error('IndexedDB no disponible'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onerror = () => reject(request.error);
+            request.onupgradeneeded = () => this.upgradeSchema(request.result);
+            request.onsuccess = () => {
+                const db = request.result;
+
+                // Liberar la conexión si otra pestaña o el SW actualiza el esquema
+                db.onversionchange = () => {
+                    db.close();
+                    this.dbPromise = null;
+                };
+
+                resolve(db);
+            };
+        }).catch(error => {
+            this.dbPromise = null;
+            throw error;
+        });
+
+        // Pedir almacenamiento persistente para evitar que el navegador lo borre
+        if (navigator.storage && navigator.storage.persist) {
+            navigator.storage.persist().catch(() => {});
+        }
+
+        return this.dbPromise;
+    }
+
+    // Crear object stores (mantener sincronizado con service-worker.js)
+    upgradeSchema(db) {
+        if (!db.objectStoreNames.contains('driving_data')) {
+            const store = db.createObjectStore('driving_data', { keyPath: 'id' });
+            store.createIndex('participante', 'participante', { unique: false });
+            store.createIndex('fecha', 'fecha', { unique: false });
+        }
+
+        if (!db.objectStoreNames.contains('sessions')) {
+            const sessions = db.createObjectStore('sessions', { keyPath: 'id' });
+            sessions.createIndex('participante', 'participante', { unique: false });
+            sessions.createIndex('fecha', 'fecha', { unique: false });
+        }
+
+        if (!db.objectStoreNames.contains('chunks')) {
+            const chunks = db.createObjectStore('chunks', { keyPath: ['sessionId', 'index'] });
+            chunks.createIndex('sessionId', 'sessionId', { unique: false });
+        }
+
+        if (!db.objectStoreNames.contains('events')) {
+            const events = db.createObjectStore('events', { keyPath: 'id' });
+            events.createIndex('sessionId', 'session_id', { unique: false });
+        }
+
+        if (!db.objectStoreNames.contains('raw_motion')) {
+            const rawMotion = db.createObjectStore('raw_motion', { keyPath: ['sessionId', 'index'] });
+            rawMotion.createIndex('sessionId', 'sessionId', { unique: false });
+        }
+
+        if (!db.objectStoreNames.contains('speed_zones')) {
+            db.createObjectStore('speed_zones', { keyPath: 'id' });
+        }
+    }
+
+    // === METADATOS DE SESIÓN ===
+
+    // Crear una sesión nueva con ID estable y número de secuencia del día
+    async createSession({ participante, grupo, inicio = new Date() }) {
+        const fecha = Utils.formatDateTime(inicio).date;
+        const previous = await this.listSessions(participante);
+        const sameDay = previous.filter(meta => meta.fecha === fecha);
+        const secuencia = sameDay.reduce((max, meta) => Math.max(max, meta.secuencia || 0), 0) + 1;
+
+        const meta = {
+            id: SessionStore.buildSessionId(participante, fecha, secuencia),
+            participante: participante,
+            grupo: grupo,
+            fecha: fecha,
+            secuencia: secuencia,
+            inicio: inicio.toISOString(),
+            fin: null,
+            ultima_actualizacion: inicio.toISOString(),
+            duracion_total_seg: 0,
+            total_registros: 0,
+            contadores_eventos: {}
+        };
+
+        await this.saveSession(meta);
+        return meta;
+    }
+
+    // Ej. P03-20251019-S02
+    static buildSessionId(participantId, fecha, secuencia) {
+        const compactDate = fecha.replace(/-/g, '');
+        return `${participantId}-${compactDate}-S${String(secuencia).padStart(2, '0')}`;
+    }
+
+    async saveSession(meta) {
+        const db = await this.open();
+        const tx = db.transaction(['sessions'], 'readwrite');
+        tx.objectStore('sessions').put(meta);
+        await SessionStore.transactionDone(tx);
+    }
+
+    async getSession(sessionId) {
+        const db = await this.open();
+        const tx = db.transaction(['sessions'], 'readonly');
+        const meta = await SessionStore.requestDone(tx.objectStore('sessions').get(sessionId));
+        return meta || null;
+    }
+
+    async listSessions(participantId = null) {
+        const db = await this.open();
+        const tx = db.transaction(['sessions'], 'readonly');
+        const store = tx.objectStore('sessions');
+
+        const request = participantId
+            ? store.index('participante').getAll(participantId)
+            : store.getAll();
+
+        // Ordenadas cronológicamente
+        const sessions = await SessionStore.requestDone(request);
+        return sessions.sort((a, b) => (a.inicio || '').localeCompare(b.inicio || ''));
+    }
+
+    // === REGISTROS POR BLOQUES ===
+
+    // Agregar un bloque de registros al final de la sesión
+    async appendRecords(sessionId, records) {
+        if (!records || records.length === 0) return null;
+
+        const db = await this.open();
+        const tx = db.transaction(['chunks'], 'readwrite');
+        const store = tx.objectStore('chunks');
+
+        // Contar y agregar en la misma transacción para mantener el orden
+        const index = await SessionStore.requestDone(store.index('sessionId').count(sessionId));
+        store.add({
+            sessionId: sessionId,
+            index: index,
+            count: records.length,
+            createdAt: new Date().toISOString(),
+            records: records
+        });
+
+        await SessionStore.transactionDone(tx);
+        return index;
+    }
+
+    // Leer todos los registros de una sesión en orden
+    async loadRecords(sessionId) {
+        const db = await this.open();
+        const tx = db.transaction(['chunks'], 'readonly');
+        const range = IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]);
+        const chunks = await SessionStore.requestDone(tx.objectStore('chunks').getAll(range));
+
+        return chunks.reduce((all, chunk) => all.concat(chunk.records), []);
+    }
+
+    // Quitar los registros posteriores a un instante (ISO); solo se afectan los últimos bloques
+    async trimRecords(sessionId, after) {
+        const db = await this.open();
+        const tx = db.transaction(['chunks'], 'readwrite');
+        const store = tx.objectStore('chunks');
+        const range = IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]);
+        const chunks = await SessionStore.requestDone(store.getAll(range));
+
+        let removed = 0;
+        chunks.forEach(chunk => {
+            const records = chunk.records.filter(record => record.timestamp <= after);
+            if (records.length === chunk.records.length) return;
+
+            removed += chunk.records.length - records.length;
+            if (records.length === 0) {
+                store.delete([sessionId, chunk.index]);
+            } else {
+                store.put({ ...chunk, count: records.length, records: records });
+            }
+        });
+
+        await SessionStore.transactionDone(tx);
+        return removed;
+    }
+
+    // Borrar los registros sin tocar los metadatos
+    async clearRecords(sessionId) {
+        const db = await this.open();
+        const tx = db.transaction(['chunks'], 'readwrite');
+        const range = IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]);
+        tx.objectStore('chunks').delete(range);
+        await SessionStore.transactionDone(tx);
+    }
+
+    // === EVENTOS DETECTADOS ===
+
+    async appendEvents(sessionId, events) {
+        if (!events || events.length === 0) return;
+
+        const db = await this.open();
+        const tx = db.transaction(['events'], 'readwrite');
+        const store = tx.objectStore('events');
+
+        events.forEach(event => store.put({ ...event, session_id: sessionId }));
+
+        await SessionStore.transactionDone(tx);
+    }
+
+    // Eventos de la sesión en orden cronológico
+    async loadEvents(sessionId) {
+        const db = await this.open();
+        const tx = db.transaction(['events'], 'readonly');
+        const events = await SessionStore.requestDone(tx.objectStore('events').index('sessionId').getAll(sessionId));
+
+        return events.sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+    }
+
+    // === MOVIMIENTO CRUDO (arreglos tipados por bloque) ===
+
+    async appendRawMotion(sessionId, chunk) {
+        const db = await this.open();
+        const tx = db.transaction(['raw_motion'], 'readwrite');
+        const store = tx.objectStore('raw_motion');
+
+        const index = await SessionStore.requestDone(store.index('sessionId').count(sessionId));
+        store.add({ ...chunk, sessionId: sessionId, index: index });
+
+        await SessionStore.transactionDone(tx);
+        return index;
+    }
+
+    async loadRawMotion(sessionId) {
+        const db = await this.open();
+        const tx = db.transaction(['raw_motion'], 'readonly');
+        const range = IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]);
+        return SessionStore.requestDone(tx.objectStore('raw_motion').getAll(range));
+    }
+
+    // Sesión completa: metadatos + registros + eventos
+    async loadSession(sessionId) {
+        const meta = await this.getSession(sessionId);
+        if (!meta) return null;
+
+        const records = await this.loadRecords(sessionId);
+        const events = await this.loadEvents(sessionId);
+        return { meta, records, events };
+    }
+
+    async deleteSession(sessionId) {
+        const db = await this.open();
+        const tx = db.transaction(['sessions', 'chunks', 'events', 'raw_motion'], 'readwrite');
+        const range = IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]);
+
+        tx.objectStore('sessions').delete(sessionId);
+        tx.objectStore('chunks').delete(range);
+        tx.objectStore('raw_motion').delete(range);
+
+        // Los eventos se indexan por sesión: borrar por clave primaria
+        const keysRequest = tx.objectStore('events').index('sessionId').getAllKeys(sessionId);
+        keysRequest.onsuccess = () => {
+            keysRequest.result.forEach(key => tx.objectStore('events').delete(key));
+        };
+
+        await SessionStore.transactionDone(tx);
+    }
+
+    // === ZONAS DE VELOCIDAD IMPORTADAS ===
+
+    // Un GeoJSON de ciudad no cabe en localStorage: se guarda aquí (uno solo, el último importado)
+    async saveSpeedZones(geojson, source) {
+        const db = await this.open();
+        const tx = db.transaction(['speed_zones'], 'readwrite');
+        tx.objectStore('speed_zones').put({
+            id: 'importado',
+            geojson: geojson,
+            source: source,
+            importado: new Date().toISOString()
+        });
+        await SessionStore.transactionDone(tx);
+    }
+
+    async loadSpeedZones() {
+        const db = await this.open();
+        const tx = db.transaction(['speed_zones'], 'readonly');
+        const stored = await SessionStore.requestDone(tx.objectStore('speed_zones').get('importado'));
+        return stored || null;
+    }
+
+    async deleteSpeedZones() {
+        const db = await this.open();
+        const tx = db.transaction(['speed_zones'], 'readwrite');
+        tx.objectStore('speed_zones').delete('importado');
+        await SessionStore.transactionDone(tx);
+    }
+
+    // === MIGRACIÓN DESDE LOCALSTORAGE ===
+
+    // Mover sesiones guardadas con la versión anterior (una clave por día)
+    async migrateFromLocalStorage() {
+        const legacyKeys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(this.legacyPrefix)) {
+                legacyKeys.push(key);
+            }
+        }
+
+        let migrated = 0;
+
+        for (const key of legacyKeys) {
+            try {
+                const saved = Storage.get(key);
+                if (!saved || !Array.isArray(saved.datos)) {
+                    Storage.remove(key);
+                    continue;
+                }
+
+                const sessionId = key.substring(this.legacyPrefix.length);
+                const { datos, ...meta } = saved;
+
+                await this.clearRecords(sessionId);
+                for (let i = 0; i < datos.length; i += this.chunkSize) {
+                    await this.appendRecords(sessionId, datos.slice(i, i + this.chunkSize));
+                }
+
+                await this.saveSession({
+                    ...meta,
+                    id: sessionId,
+                    secuencia: 1,
+                    fin: meta.ultima_actualizacion || null,
+                    total_registros: datos.length,
+                    migrado_de: 'localStorage'
+                });
+
+                // Solo borrar cuando la copia en IndexedDB está completa
+                Storage.remove(key);
+                migrated++;
+
+                Utils.log('info', `Sesión migrada a IndexedDB: ${sessionId} (${datos.length} registros)`);
+
+            } catch (error) {
+                Utils.log('error', `Error migrando sesión ${key}`, error);
+            }
+        }
+
+        return migrated;
+    }
+
+    // === HELPERS ===
+
+    static requestDone(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    static transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transacción abortada'));
+        });
+    }
+}
+
+// Exportar para uso global
+window.SessionStore = SessionStore;
@@ -0,0 +1,194 @@
+// Zonas de Velocidad - Monitor de Conducción ITSON v2.0
+// Límite y contexto de la vía a partir de un GeoJSON (polígonos o tramos de calle)
+
+class SpeedZoneMap {
+    constructor(options = {}) {
+        // Límites por contexto cuando la zona no trae límite propio (km/h)
+        this.speedLimits = options.speedLimits || {
+            urban: 60,
+            highway: 110,
+            residential: 40,
+            school: 20,
+            default: 60
+        };
+
+        // Ancho a cada lado de un tramo de calle (m) si no lo indica la propiedad buffer_m
+        this.defaultBuffer = options.defaultBuffer || 15;
+
+        this.name = null;
+        this.source = null;
+        this.zones = [];
+    }
+
+    // === CARGA ===
+
+    static async readFile(file) {
+        const text = await file.text();
+        const map = new SpeedZoneMap();
+        map.load(JSON.parse(text), file.name);
+        return map;
+    }
+
+    // FeatureCollection con Polygon, MultiPolygon, LineString o MultiLineString
+    load(geojson, source = null) {
+        const features = geojson?.type === 'FeatureCollection' ? geojson.features
+            : geojson?.type === 'Feature' ? [geojson]
+            : null;
+
+        if (!Array.isArray(features)) {
+            throw new Error('El archivo no es un GeoJSON (FeatureCollection)');
+        }
+
+        const zones = [];
+        features.forEach((feature, i) => {
+            const zone = this.parseFeature(feature, i);
+            if (zone) zones.push(zone);
+        });
+
+        this.geojson = geojson;
+        this.name = geojson.name || source || 'zonas';
+        this.source = source;
+        this.zones = zones;
+
+        Utils.log('info', `Zonas de velocidad cargadas: ${zones.length} de ${features.length}`, { nombre: this.name });
+        return this;
+    }
+
+    parseFeature(feature, index) {
+        const geometry = feature?.geometry;
+        const properties = feature?.properties || {};
+        if (!geometry) return null;
+
+        const context = properties.context || properties.contexto || null;
+        const limit = SpeedZoneMap.parseLimit(properties.limit ?? properties.speed_limit ?? properties.limite ?? properties.maxspeed)
+            ?? this.speedLimits[context] ?? null;
+        if (limit === null) return null;
+
+        const base = {
+            id: feature.id ?? properties.id ?? index,
+            name: properties.name || properties.nombre || null,
+            limit: limit,
+            context: context || 'default'
+        };
+
+        switch (geometry.type) {
+            case 'Polygon':
+                return { ...base, kind: 'area', polygons: [geometry.coordinates], bbox: SpeedZoneMap.bbox(geometry.coordinates.flat()) };
+            case 'MultiPolygon':
+                return { ...base, kind: 'area', polygons: geometry.coordinates, bbox: SpeedZoneMap.bbox(geometry.coordinates.flat(2)) };
+            case 'LineString':
+            case 'MultiLineString': {
+                const lines = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates;
+                const buffer = Number(properties.buffer_m) || this.defaultBuffer;
+                return { ...base, kind: 'road', lines: lines, buffer: buffer, bbox: SpeedZoneMap.bbox(lines.flat(), buffer) };
+            }
+            default:
+                return null;
+        }
+    }
+
+    // "60", 60, "60 km/h", "35 mph"
+    static parseLimit(value) {
+        if (value === undefined || value === null || value === '') return null;
+        if (typeof value === 'number') return value;
+
+        const match = String(value).match(/([\d.]+)\s*(mph)?/i);
+        if (!match) return null;
+        const limit = parseFloat(match[1]);
+        return match[2] ? Math.round(limit * 1.609) : limit;
+    }
+
+    // [minLon, minLat, maxLon, maxLat] con margen opcional en metros
+    static bbox(points, margin = 0) {
+        const lons = points.map(p => p[0]);
+        const lats = points.map(p => p[1]);
+        const dLat = margin / 111320;
+        const dLon = margin / (111320 * Math.cos(((Math.min(...lats) + Math.max(...lats)) / 2) * Math.PI / 180));
+        return [Math.min(...lons) - dLon, Math.min(...lats) - dLat, Math.max(...lons) + dLon, Math.max(...lats) + dLat];
+    }
+
+    // === CONSULTA ===
+
+    // Los tramos de calle tienen prioridad sobre las áreas; entre áreas, la más pequeña (p. ej. zona escolar)
+    lookup(lat, lon) {
+        let bestRoad = null;
+        let bestArea = null;
+
+        this.zones.forEach(zone => {
+            const [minLon, minLat, maxLon, maxLat] = zone.bbox;
+            if (lon < minLon || lon > maxLon || lat < minLat || lat > maxLat) return;
+
+            if (zone.kind === 'road') {
+                const distance = SpeedZoneMap.distanceToLines(lat, lon, zone.lines);
+                if (distance <= zone.buffer && (!bestRoad || distance < bestRoad.distance)) {
+                    bestRoad = { zone, distance };
+                }
+            } else if (zone.polygons.some(polygon => SpeedZoneMap.pointInPolygon(lat, lon, polygon))) {
+                const size = (zone.bbox[2] - zone.bbox[0]) * (zone.bbox[3] - zone.bbox[1]);
+                if (!bestArea || size < bestArea.size) {
+                    bestArea = { zone, size };
+                }
+            }
+        });
+
+        const match = bestRoad?.zone || bestArea?.zone;
+        if (!match) return null;
+
+        return {
+            limit: match.limit,
+            context: match.context,
+            zone_id: match.id,
+            zone_name: match.name
+        };
+    }
+
+    // Anillo exterior menos los huecos (regla par-impar)
+    static pointInPolygon(lat, lon, rings) {
+        return rings.reduce((inside, ring) => SpeedZoneMap.pointInRing(lat, lon, ring) ? !inside : inside, false);
+    }
+
+    static pointInRing(lat, lon, ring) {
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+            if ((yi > lat) !== (yj > lat) && lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    // Distancia mínima (m) del punto a los tramos, en un plano local
+    static distanceToLines(lat, lon, lines) {
+        const metersPerLon = 111320 * Math.cos(lat * Math.PI / 180);
+        const toLocal = ([pLon, pLat]) => ({ x: (pLon - lon) * metersPerLon, y: (pLat - lat) * 111320 });
+
+        let best = Infinity;
+        lines.forEach(line => {
+            for (let i = 1; i < line.length; i++) {
+                const a = toLocal(line[i - 1]);
+                const b = toLocal(line[i]);
+                const dx = b.x - a.x;
+                const dy = b.y - a.y;
+                const lengthSq = dx * dx + dy * dy;
+                const t = lengthSq > 0 ? Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSq)) : 0;
+                best = Math.min(best, Math.hypot(a.x + t * dx, a.y + t * dy));
+            }
+        });
+        return best;
+    }
+
+    describe() {
+        return {
+            nombre: this.name,
+            fuente: this.source,
+            zonas: this.zones.length,
+            tramos: this.zones.filter(zone => zone.kind === 'road').length,
+            areas: this.zones.filter(zone => zone.kind === 'area').length
+        };
+    }
+}
+
+// Exportar para uso global
+window.SpeedZoneMap = SpeedZoneMap;
@@ -0,0 +1,258 @@
+// Reproducción de Viajes - Monitor de Conducción ITSON v2.0
+// Alimenta registros exportados (JSON/CSV) de nuevo al DataProcessor
+
+class TripReplay {
+    constructor(options = {}) {
+        // Factor de velocidad: 1 = tiempo real, 10 = 10x, 0 = lo más rápido posible
+        this.speed = options.speed ?? 1;
+        this.onRecord = options.onRecord || null;
+        this.onProgress = options.onProgress || null;
+        this.onComplete = options.onComplete || null;
+
+        // Registros por tick cuando speed = 0 (no bloquear la UI)
+        this.batchSize = 200;
+
+        this.records = [];
+        this.index = 0;
+        this.timer = null;
+        this.isRunning = false;
+    }
+
+    // Campos de sensor que se vuelven a procesar (lo derivado se recalcula)
+    static get RAW_FIELDS() {
+        return [
+            'timestamp', 'session_id', 'record_id', 'participante', 'grupo', 'session_time', 'type',
+            'lat', 'lon', 'velocidad', 'accuracy', 'heading',
+            'x', 'y', 'z',
+            'lin_x', 'lin_y', 'lin_z',
+            'rot_alpha', 'rot_beta', 'rot_gamma',
+            'orient_alpha', 'orient_beta', 'orient_gamma',
+            'frame_aligned'
+        ];
+    }
+
+    // Columnas del CSV de ExportManager.generateCSV → campos del registro
+    static get CSV_COLUMNS() {
+        return {
+            participante_id: 'participante',
+            grupo: 'grupo',
+            sesion_id: 'session_id',
+            registro_id: 'record_id',
+            timestamp: 'timestamp',
+            tiempo_sesion_seg: 'session_time',
+            latitud: 'lat',
+            longitud: 'lon',
+            velocidad_kmh: 'velocidad',
+            aceleracion_x: 'x',
+            aceleracion_y: 'y',
+            aceleracion_z: 'z',
+            aceleracion_lineal_x: 'lin_x',
+            aceleracion_lineal_y: 'lin_y',
+            aceleracion_lineal_z: 'lin_z',
+            rotacion_alpha: 'rot_alpha',
+            rotacion_beta: 'rot_beta',
+            rotacion_gamma: 'rot_gamma',
+            orientacion_alpha: 'orient_alpha',
+            orientacion_beta: 'orient_beta',
+            orientacion_gamma: 'orient_gamma',
+            marco_vehiculo: 'frame_aligned',
+            tipo_registro: 'type',
+            latitud_cruda: 'lat_raw',
+            longitud_cruda: 'lon_raw',
+            velocidad_cruda_kmh: 'velocidad_raw',
+            precision_gps_m: 'accuracy',
+            rumbo_gps: 'heading'
+        };
+    }
+
+    // === CARGA DE ARCHIVOS ===
+
+    static async readFile(file) {
+        const text = await file.text();
+        return TripReplay.parse(text, file.name);
+    }
+
+    static parse(text, filename = '') {
+        const trimmed = text.trim();
+        const isJSON = filename.toLowerCase().endsWith('.json') ||
+            trimmed.startsWith('{') || trimmed.startsWith('[');
+
+        const rows = isJSON ? TripReplay.parseJSON(trimmed) : TripReplay.parseCSV(trimmed);
+
+        return rows
+            .filter(row => row && row.type !== 'gap' && !Number.isNaN(Date.parse(row.timestamp)))
+            .map(row => TripReplay.toRawRecord(row))
+            .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+    }
+
+    // Acepta la exportación completa (datos_raw) o un arreglo de registros
+    static parseJSON(text) {
+        const parsed = JSON.parse(text);
+
+        if (Array.isArray(parsed)) return parsed;
+        if (parsed && Array.isArray(parsed.datos_raw)) return parsed.datos_raw;
+
+        throw new Error('El JSON no contiene datos_raw');
+    }
+
+    static parseCSV(text) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+        if (lines.length < 2) {
+            throw new Error('El CSV no contiene registros');
+        }
+
+        const headers = TripReplay.splitCSVLine(lines[0]);
+        const columns = TripReplay.CSV_COLUMNS;
+
+        if (!headers.includes('timestamp')) {
+            throw new Error('El CSV no tiene columna timestamp');
+        }
+
+        return lines.slice(1).map(line => {
+            const values = TripReplay.splitCSVLine(line);
+            const row = {};
+
+            headers.forEach((header, i) => {
+                const field = columns[header];
+                if (!field || values[i] === undefined || values[i] === '') return;
+
+                const numeric = Number(values[i]);
+                row[field] = ['timestamp', 'participante', 'grupo', 'session_id', 'record_id', 'type'].includes(field) || Number.isNaN(numeric)
+                    ? values[i]
+                    : numeric;
+            });
+
+            return row;
+        });
+    }
+
+    // Separar una línea CSV respetando campos entre comillas
+    static splitCSVLine(line) {
+        const values = [];
+        let current = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (char === '"') {
+                if (quoted && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else {
+                    quoted = !quoted;
+                }
+            } else if (char === ',' && !quoted) {
+                values.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        values.push(current);
+
+        return values;
+    }
+
+    static toRawRecord(row) {
+        const record = {};
+        TripReplay.RAW_FIELDS.forEach(field => {
+            if (row[field] !== undefined && row[field] !== null) {
+                record[field] = row[field];
+            }
+        });
+
+        // Reproducir desde la fijación original: el filtro GPS se vuelve a aplicar
+        if (row.lat_raw !== undefined && row.lon_raw !== undefined) {
+            record.lat = row.lat_raw;
+            record.lon = row.lon_raw;
+        }
+        if (row.velocidad_raw !== undefined) {
+            record.velocidad = row.velocidad_raw;
+        }
+
+        // validateDataStructure exige participante como string
+        record.participante = String(record.participante || '');
+        return record;
+    }
+
+    // === CONTROL DE REPRODUCCIÓN ===
+
+    load(records) {
+        this.stop();
+        this.records = records;
+        this.index = 0;
+    }
+
+    start() {
+        if (this.isRunning || this.records.length === 0) return;
+
+        this.isRunning = true;
+        this.scheduleNext(0);
+    }
+
+    pause() {
+        this.isRunning = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    stop() {
+        this.pause();
+        this.index = 0;
+    }
+
+    scheduleNext(delay) {
+        this.timer = setTimeout(() => this.tick(), delay);
+    }
+
+    tick() {
+        if (!this.isRunning) return;
+
+        const count = this.speed > 0 ? 1 : this.batchSize;
+        for (let i = 0; i < count && this.index < this.records.length; i++) {
+            this.deliver(this.records[this.index]);
+            this.index++;
+        }
+
+        if (this.onProgress) {
+            this.onProgress(this.index, this.records.length);
+        }
+
+        if (this.index >= this.records.length) {
+            this.isRunning = false;
+            this.timer = null;
+            if (this.onComplete) this.onComplete(this.records.length);
+            return;
+        }
+
+        // Respetar el tiempo entre registros (escalado por la velocidad)
+        let delay = 0;
+        if (this.speed > 0) {
+            const previous = Date.parse(this.records[this.index - 1].timestamp);
+            const next = Date.parse(this.records[this.index].timestamp);
+            delay = Math.max(0, (next - previous) / this.speed);
+        }
+
+        this.scheduleNext(delay);
+    }
+
+    deliver(record) {
+        if (!this.onRecord) return;
+
+        try {
+            // Copia: el procesador enriquece el objeto que recibe
+            this.onRecord({ ...record });
+        } catch (error) {
+            Utils.log('error', 'Error reproduciendo registro', error);
+        }
+    }
+
+    getProgress() {
+        return this.records.length > 0 ? this.index / this.records.length : 0;
+    }
+}
+
+// Exportar para uso global
+window.TripReplay = TripReplay;
@@ -0,0 +1,105 @@
+// Segmentación de Viajes - Monitor de Conducción ITSON v2.0
+// Divide una sesión en tramos separados por detenciones largas o pérdidas de GPS
+
+class TripSegmenter {
+    constructor(options = {}) {
+        this.config = {
+            longStop: 120,          // s detenido para cortar el tramo (semáforos y tráfico no cortan)
+            gpsGap: 120,            // s sin fijación GPS (o sin registros) para cortar el tramo
+            minimumSpeed: 3,        // km/h para el perfil de velocidad
+            ...options
+        };
+    }
+
+    // records: registros procesados en orden (movement_state, stop_started, gps_available)
+    // → [{ from, to, ended_by }] con índices inclusivos; ended_by: 'long_stop' | 'gps_gap' | 'data_gap' | null (fin)
+    split(records) {
+        const excluded = this.markLongStops(records);
+        const time = record => Date.parse(record.timestamp);
+        const segments = [];
+        let current = null;
+        let lastFix = null;
+
+        const close = (reason) => {
+            if (current && current.moving) {
+                segments.push({ from: current.from, to: current.to, ended_by: reason });
+            }
+            current = null;
+        };
+
+        records.forEach((record, i) => {
+            // Hueco registrado (sin lecturas): corta si es largo y nunca pertenece a un tramo
+            if (record.type === 'gap') {
+                if (record.gap_duration_sec >= this.config.gpsGap) close('data_gap');
+                return;
+            }
+
+            // Dentro de una detención larga: el tramo terminó donde empezó la detención
+            if (excluded[i]) {
+                close('long_stop');
+                return;
+            }
+
+            // Pérdida de GPS (o pausa sin registros): el tramo nuevo empieza con la fijación que vuelve
+            if (record.gps_available) {
+                if (lastFix !== null && current && time(record) - lastFix >= this.config.gpsGap * 1000) {
+                    const previous = records[i - 1];
+                    const silent = previous && time(record) - time(previous) >= this.config.gpsGap * 1000;
+                    close(silent ? 'data_gap' : 'gps_gap');
+                }
+                lastFix = time(record);
+            }
+
+            if (!current) {
+                current = { from: i, to: i, moving: false };
+            }
+            current.to = i;
+            current.moving = current.moving || Boolean(record.vehicle_moving);
+        });
+        close(null);
+
+        return segments;
+    }
+
+    // Registros dentro de detenciones de al menos longStop (la que sigue abierta al final también cuenta)
+    markLongStops(records) {
+        const excluded = new Array(records.length).fill(false);
+        const stops = MovementStateMachine.findStops(records)
+            .filter(stop => stop.duration_sec >= this.config.longStop)
+            .map(stop => ({ start: Date.parse(stop.start), end: stop.ongoing ? Infinity : Date.parse(stop.end) }));
+        if (stops.length === 0) return excluded;
+
+        records.forEach((record, i) => {
+            const time = Date.parse(record.timestamp);
+            excluded[i] = stops.some(stop => time > stop.start && time < stop.end);
+        });
+        return excluded;
+    }
+
+    // Velocidades en movimiento: mediana, percentil 85 y % de registros por rango
+    speedProfile(records) {
+        const speeds = records
+            .filter(record => record.type !== 'gap' && Number.isFinite(record.velocidad) && record.velocidad > this.config.minimumSpeed)
+            .map(record => record.velocidad)
+            .sort((a, b) => a - b);
+
+        const percentile = p => speeds.length > 0
+            ? Number(speeds[Math.min(speeds.length - 1, Math.floor(p * speeds.length))].toFixed(1))
+            : 0;
+        const share = (min, max) => speeds.length > 0
+            ? Number((speeds.filter(speed => speed >= min && speed < max).length / speeds.length * 100).toFixed(1))
+            : 0;
+
+        return {
+            median_speed: percentile(0.5),
+            p85_speed: percentile(0.85),
+            percent_under_30: share(0, 30),
+            percent_30_60: share(30, 60),
+            percent_60_90: share(60, 90),
+            percent_over_90: share(90, Infinity)
+        };
+    }
+}
+
+// Exportar para uso global
+window.TripSegmenter = TripSegmenter;